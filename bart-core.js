@@ -0,0 +1,986 @@
+/*** BART CORE ***
+ * Departure logic shared by the Scriptable widget (script.js) and the
+ * command line (cli.js). Nothing in this file may use Scriptable globals
+ * like Request, Keychain or ListWidget: platform specifics are passed in,
+ * e.g. the loadJSON function given to createBartApi.
+ *
+ * In Scriptable this file is loaded with importModule("bart-core"),
+ * in Node with require("./bart-core").
+ */
+
+// San Francisco city center coordinates
+const SF_LATITUDE = 37.7749;
+const SF_LONGITUDE = -122.4194;
+const SF_BORDER_MILES = 7;
+
+// Kinds of failure, each shown with its own message and retry interval
+const ERROR_TYPES = {
+  INVALID_KEY: "invalidKey",
+  NETWORK: "network",
+  SERVER: "server",
+  RATE_LIMITED: "rateLimited",
+  NO_SERVICE: "noService",
+  INVALID_PAYLOAD: "invalidPayload",
+  LOCATION_DENIED: "locationDenied",
+  AGENCY_FEED: "agencyFeed", // Another agency's real-time feed, read by gtfs-core
+};
+
+// Failures worth retrying right away, and falling back to cached data for
+const TRANSIENT_ERROR_TYPES = [
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.SERVER,
+  ERROR_TYPES.RATE_LIMITED,
+  ERROR_TYPES.INVALID_PAYLOAD,
+  ERROR_TYPES.AGENCY_FEED,
+];
+
+class BartError extends Error {
+  constructor(type, message, options) {
+    super(message, options);
+    this.name = "BartError";
+    this.type = type;
+  }
+}
+
+// One of ERROR_TYPES, or null for errors that aren't a BartError
+function getErrorType(error) {
+  return error instanceof BartError ? error.type : null;
+}
+
+function isTransientError(error) {
+  return TRANSIENT_ERROR_TYPES.includes(getErrorType(error));
+}
+
+// Typed error from a failed loadJSON call. Adapters set error.status to the
+// HTTP status code; a SyntaxError means the body wasn't JSON.
+function classifyRequestError(error) {
+  if (error instanceof BartError) {
+    return error;
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new BartError(ERROR_TYPES.INVALID_KEY, 'BART API rejected the API key', { cause: error });
+  }
+  if (error.status === 429) {
+    return new BartError(ERROR_TYPES.RATE_LIMITED, 'BART API rate limit reached', { cause: error });
+  }
+  if (error.status >= 500) {
+    return new BartError(ERROR_TYPES.SERVER, `BART API server error: HTTP ${error.status}`, { cause: error });
+  }
+  if (error instanceof SyntaxError) {
+    return new BartError(ERROR_TYPES.INVALID_PAYLOAD, 'BART API response is not JSON', { cause: error });
+  }
+  return new BartError(ERROR_TYPES.NETWORK, `BART API request failed: ${error.message}`, { cause: error });
+}
+
+// Typed error for an error message in the response body, e.g.
+// { message: { error: { text: "Invalid key" } } }, or null
+function getResponseError(root) {
+  const error = root.message && root.message.error;
+  if (!error) {
+    return null;
+  }
+  const text = [].concat(error).map((entry) => `${entry.text || ""} ${entry.details || ""}`).join(" ");
+  if (/key/i.test(text)) {
+    return new BartError(ERROR_TYPES.INVALID_KEY, `BART API rejected the API key: ${text.trim()}`);
+  }
+  if (/limit|too many/i.test(text)) {
+    return new BartError(ERROR_TYPES.RATE_LIMITED, `BART API rate limit reached: ${text.trim()}`);
+  }
+  return new BartError(ERROR_TYPES.INVALID_PAYLOAD, `BART API error: ${text.trim()}`);
+}
+
+// Fare classes in the fare API and the names used here
+const FARE_TYPES = {
+  clipper: "clipper",
+  clipperstart: "clipperStart",
+  cash: "ticket",
+  rtcclipper: "seniorDisabled",
+  student: "youth",
+};
+
+// Stations whose fares include the SFO airport surcharge
+const SFO_SURCHARGE_STATIONS = ["SFIA"];
+
+// Refresh intervals chosen by planRefresh, in minutes
+const REFRESH_MINUTES = {
+  idle: 5, // No catchable train soon
+  far: 15, // Nearest station is FAR_STATION_MILES or more away
+  maxBackoff: 60, // Longest wait after repeated errors
+  maxOutOfService: 180, // Longest wait outside service hours
+};
+const SOON_TRAIN_MINUTES = 10; // A catchable train you'd leave for within this is "soon"
+const NEAR_STATION_MILES = 0.25;
+const FAR_STATION_MILES = 5;
+const SERVICE_LEAD_MINUTES = 15; // Start refreshing this long before the first train
+
+// Departure history
+const HISTORY_JUMP_MINUTES = 3; // An estimate moving this much between refreshes counts as a jump
+const HISTORY_LATE_MINUTES = 3; // A train this far behind its schedule ran late
+const HISTORY_MATCH_MINUTES = 15; // Farthest a train's estimate may jump and still be the same train
+
+// Node's timer; Scriptable has no setTimeout and passes its own wait
+function defaultWait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+// BART API client. loadJSON(url) is the platform's HTTP adapter and must
+// resolve to the parsed JSON body. Transient failures are retried up to
+// retries times, waiting retryDelayMs and then twice as long each time;
+// wait(milliseconds) is the platform's timer.
+function createBartApi({ baseUrl, apiKey, loadJSON, retries = 2, retryDelayMs = 500, wait = defaultWait }) {
+  async function requestOnce(path, params, isValid) {
+    const query = Object.entries({ ...params, key: apiKey, json: "y" })
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join("&");
+
+    let json;
+    try {
+      json = await loadJSON(`${baseUrl}/${path}?${query}`);
+    } catch (error) {
+      throw classifyRequestError(error);
+    }
+
+    const responseError = json && json.root ? getResponseError(json.root) : null;
+    if (responseError) {
+      throw responseError;
+    }
+
+    // Validate response structure
+    if (!json || !json.root || !isValid(json.root)) {
+      console.log('Invalid API response structure:', json);
+      throw new BartError(ERROR_TYPES.INVALID_PAYLOAD, 'Invalid BART API response structure');
+    }
+
+    return json.root;
+  }
+
+  // Response root for path, retrying transient failures with backoff
+  async function request(path, params, isValid) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestOnce(path, params, isValid);
+      } catch (error) {
+        if (attempt >= retries || !isTransientError(error)) {
+          throw error;
+        }
+        const delay = retryDelayMs * 2 ** attempt;
+        console.log(`Retrying ${path} in ${delay} ms after ${error.type} error`);
+        await wait(delay);
+      }
+    }
+  }
+
+  return {
+    request,
+
+    async getStationList() {
+      try {
+        const root = await request(
+          "stn.aspx",
+          { cmd: "stns" },
+          (root) => root.stations && root.stations.station
+        );
+        return root.stations.station;
+      } catch (error) {
+        console.log('Error loading station list:', error);
+        throw error;
+      }
+    },
+
+    async getStationDepartures(abbr) {
+      try {
+        const root = await request(
+          "etd.aspx",
+          { cmd: "etd", orig: abbr },
+          (root) => root.station && root.station[0]
+        );
+        // Stations report no estimates at all when trains aren't running, e.g. overnight
+        if (!root.station[0].etd) {
+          throw new BartError(ERROR_TYPES.NO_SERVICE, `No trains running from ${abbr}`);
+        }
+        return root.station[0].etd;
+      } catch (error) {
+        console.log('Error getting station departures:', error);
+        throw error;
+      }
+    },
+
+    // Ordered station lists for every route, e.g. { number: "1", stations: ["ANTC", ...] }
+    async getRoutes() {
+      try {
+        const root = await request(
+          "route.aspx",
+          { cmd: "routeinfo", route: "all" },
+          (root) => root.routes && root.routes.route
+        );
+        return [].concat(root.routes.route).map((route) => ({
+          number: route.number,
+          routeID: route.routeID,
+          name: route.name,
+          color: route.color,
+          hexcolor: route.hexcolor,
+          direction: route.direction || null,
+          stations: [].concat(route.config.station),
+        }));
+      } catch (error) {
+        console.log('Error loading routes:', error);
+        throw error;
+      }
+    },
+
+    // Scheduled departures for a service day ("now" or "10/19/2026"), e.g.
+    // { date: "10/19/2026", items: [{ line: "ROUTE 7", headStation: "MLBR", time: "4:50 AM", bikes: true }] }
+    async getStationSchedule(abbr, date = "now") {
+      try {
+        const root = await request(
+          "sched.aspx",
+          { cmd: "stnsched", orig: abbr, date },
+          (root) => root.date && root.station
+        );
+        return {
+          date: root.date,
+          items: [].concat(root.station.item || []).map((item) => ({
+            line: item["@line"],
+            headStation: item["@trainHeadStation"],
+            time: item["@origTime"],
+            bikes: item["@bikeflag"] === "1",
+          })),
+        };
+      } catch (error) {
+        console.log('Error loading station schedule:', error);
+        throw error;
+      }
+    },
+
+    // Fares from origin to destination by Clipper discount category, e.g.
+    // { origin: "19TH", destination: "SFIA", sfoSurcharge: true,
+    //   fares: [{ type: "clipper", name: "Clipper", amount: 10.85 }] }
+    async getFare(origin, destination) {
+      try {
+        const root = await request(
+          "sched.aspx",
+          { cmd: "fare", orig: origin, dest: destination, date: "today" },
+          (root) => root.fares && root.fares.fare
+        );
+        return {
+          origin,
+          destination,
+          sfoSurcharge: [origin, destination].some((abbr) => SFO_SURCHARGE_STATIONS.includes(abbr)),
+          fares: [].concat(root.fares.fare).map((fare) => ({
+            type: FARE_TYPES[fare["@class"]] || fare["@class"],
+            name: fare["@name"],
+            amount: Number.parseFloat(fare["@amount"]),
+          })),
+        };
+      } catch (error) {
+        console.log('Error loading fare:', error);
+        throw error;
+      }
+    },
+  };
+}
+
+function calculateDistanceFromSF(latitude, longitude) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = ((latitude - SF_LATITUDE) * Math.PI) / 180;
+  const dLon = ((longitude - SF_LONGITUDE) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((SF_LATITUDE * Math.PI) / 180) *
+      Math.cos((latitude * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in miles
+}
+
+function isEastOfSFBorder(latitude, longitude, borderMiles = SF_BORDER_MILES) {
+  const distanceFromSF = calculateDistanceFromSF(latitude, longitude);
+  if (distanceFromSF <= borderMiles) {
+    return false; // Within SF border, show westbound
+  }
+  return longitude > SF_LONGITUDE; // Outside border, use longitude
+}
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in km
+}
+
+// The count nearest stations to location, sorted by distance in km, e.g.
+// [{ station, distance }]. The pinned station abbreviation always comes first.
+function findClosestStation(stations, location, { count = 1, pinned = null } = {}) {
+  const nearest = stations
+    .map((station) => ({
+      station,
+      distance: calculateDistance(
+        location.latitude,
+        location.longitude,
+        Number.parseFloat(station.gtfs_latitude),
+        Number.parseFloat(station.gtfs_longitude)
+      ),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const pinnedIndex = nearest.findIndex((entry) => entry.station.abbr === pinned);
+  if (pinned && pinnedIndex === -1) {
+    console.log(`Pinned station not found: ${pinned}`);
+  }
+  if (pinnedIndex !== -1) {
+    const [pinnedEntry] = nearest.splice(pinnedIndex, 1);
+    nearest.unshift({ ...pinnedEntry, pinned: true });
+  }
+
+  return nearest.slice(0, count);
+}
+
+// Station named in free text such as a calendar event's location, e.g.
+// "Embarcadero BART" or "Civic Center", or null. The longest matching name
+// wins, so "12th St. Oakland City Center" beats "Oakland"; upper case
+// abbreviations like "EMBR" match too.
+function findStationInText(stations, text) {
+  const normalize = (value) => value.toLowerCase().replace(/\./g, "");
+  const normalizedText = normalize(text || "");
+  let best = null;
+  let bestLength = 0;
+  for (const station of stations) {
+    // "Civic Center/UN Plaza" is usually just "Civic Center"
+    const names = [station.name, station.name.split("/")[0]].map(normalize);
+    for (const name of names) {
+      if (name.length > bestLength && normalizedText.includes(name)) {
+        best = station;
+        bestLength = name.length;
+      }
+    }
+  }
+  return best || stations.find((station) => new RegExp(`\\b${station.abbr}\\b`).test(text || "")) || null;
+}
+
+// Line key from the estimate's color and direction, e.g. "YellowE" or "BlueW"
+function getLineColor(estimate) {
+  const name = estimate.color
+    ? estimate.color.charAt(0).toUpperCase() + estimate.color.slice(1).toLowerCase()
+    : "Other";
+  const isEastbound = estimate.direction === "South" || estimate.direction === "East";
+  return `${name}${isEastbound ? "E" : "W"}`;
+}
+
+// Blend a hex color towards white by amount (0 to 1)
+function tintHexColor(hex, amount) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return `#${[16, 8, 0]
+    .map((shift) => (value >> shift) & 255)
+    .map((channel) => Math.round(channel + (255 - channel) * amount))
+    .map((channel) => channel.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+// Parse BART schedule date ("10/19/2026") and time ("8:05 AM") strings
+function parseBartTime(date, time) {
+  const [month, day, year] = date.trim().split("/").map(Number);
+  const [, hours, minutes, period] = time.trim().match(/(\d+):(\d+)\s*(AM|PM)/i);
+  const hours24 = (Number(hours) % 12) + (period.toUpperCase() === "PM" ? 12 : 0);
+  return new Date(year, month - 1, day, hours24, Number(minutes));
+}
+
+// BART schedule date for a Date, e.g. "10/19/2026"
+function formatBartDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+// Time in the schedule API's format, e.g. "9:05am"
+function formatBartTime(date) {
+  const hours = date.getHours();
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${hours % 12 || 12}:${minutes}${hours < 12 ? "am" : "pm"}`;
+}
+
+// WCAG relative luminance of a hex color, from 0 (black) to 1 (white)
+function getRelativeLuminance(hex) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  const [red, green, blue] = [16, 8, 0]
+    .map((shift) => ((value >> shift) & 255) / 255)
+    .map((channel) => (channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+// WCAG contrast ratio between two hex colors, from 1 to 21
+function getContrastRatio(hexA, hexB) {
+  const [lighter, darker] = [getRelativeLuminance(hexA), getRelativeLuminance(hexB)]
+    .sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Black or white, whichever is easier to read on the background hex color
+function getContrastingTextColor(hex) {
+  return getContrastRatio(hex, "#000000") >= getContrastRatio(hex, "#ffffff")
+    ? "#000000"
+    : "#ffffff";
+}
+
+// formatTime(date) formats each train's departureTime, e.g. "3:45 PM". Trains
+// also keep BART's delay in minutes, platform, whether bikes are allowed and
+// whether the train was cancelled.
+function formatDepartures(etd, now = new Date(), formatTime = formatLastUpdated) {
+  // Line keys like "YellowE" (eastbound) or "BlueW" (westbound)
+  const departures = {};
+
+  for (const destination of etd) {
+    for (const estimate of destination.estimate) {
+      const lineColor = getLineColor(estimate);
+      if (!departures[lineColor]) {
+        departures[lineColor] = [];
+      }
+      // "Leaving" trains depart now
+      const departureTime = new Date(now.getTime() + ((Number.parseInt(estimate.minutes) || 0) * 60000));
+      departures[lineColor].push({
+        destination: destination.destination,
+        abbreviation: destination.abbreviation,
+        lineColor,
+        minutes: estimate.minutes,
+        departureTime: formatTime(departureTime),
+        actualDepartureTime: departureTime, // Store actual Date object for sorting
+        length: estimate.length,
+        direction: estimate.direction,
+        hexcolor: estimate.hexcolor,
+        delay: Math.round((Number.parseInt(estimate.delay) || 0) / 60), // Minutes behind schedule
+        platform: estimate.platform || null,
+        bikes: estimate.bikeflag === undefined ? null : estimate.bikeflag === "1",
+        cancelled: estimate.cancelflag === "1",
+      });
+    }
+  }
+
+  // Sort each line's departures by time
+  for (const line in departures) {
+    departures[line].sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
+  }
+
+  return departures;
+}
+
+// "North" or "South" for a route: the API's direction, or whether the route
+// ends north or south of where it starts
+function getRouteDirection(route, stations) {
+  if (route.direction) {
+    return route.direction;
+  }
+  const latitudeOf = (abbr) => {
+    const station = stations.find((candidate) => candidate.abbr === abbr);
+    return station ? Number.parseFloat(station.gtfs_latitude) : 0;
+  };
+  const first = route.stations[0];
+  const last = route.stations[route.stations.length - 1];
+  return latitudeOf(last) > latitudeOf(first) ? "North" : "South";
+}
+
+// Upcoming trains from a station schedule (getStationSchedule), shaped and
+// grouped like formatDepartures with scheduled: true. Routes give each line its
+// color and direction, stations the destination names. The service day runs
+// past midnight, so times earlier than the day's first train are the next day.
+function formatScheduledDepartures(schedule, routes, stations, now = new Date(), formatTime = formatLastUpdated, { trainsPerLine = 6 } = {}) {
+  const departures = {};
+  let firstTime = null;
+
+  for (const item of schedule.items) {
+    const route = routes.find((candidate) => candidate.routeID === item.line);
+    if (!route) {
+      continue;
+    }
+
+    const departureTime = parseBartTime(schedule.date, item.time);
+    firstTime = firstTime || departureTime;
+    if (departureTime < firstTime) {
+      departureTime.setDate(departureTime.getDate() + 1);
+    }
+    if (departureTime < now) {
+      continue;
+    }
+
+    const direction = getRouteDirection(route, stations);
+    const lineColor = getLineColor({ color: route.color, direction });
+    if (!departures[lineColor]) {
+      departures[lineColor] = [];
+    }
+    if (departures[lineColor].length >= trainsPerLine) {
+      continue;
+    }
+
+    const destination = stations.find((station) => station.abbr === item.headStation);
+    departures[lineColor].push({
+      destination: destination ? destination.name : item.headStation,
+      abbreviation: item.headStation,
+      lineColor,
+      minutes: String(Math.round((departureTime - now) / 60000)),
+      departureTime: formatTime(departureTime),
+      actualDepartureTime: departureTime,
+      length: null,
+      direction,
+      hexcolor: route.hexcolor,
+      delay: 0,
+      platform: null,
+      bikes: item.bikes === undefined ? null : item.bikes, // Schedules cached before bikes were kept
+      cancelled: false,
+      scheduled: true,
+    });
+  }
+
+  return departures;
+}
+
+// Real-time departures, with scheduled trains for the lines that have no estimates
+function mergeScheduledDepartures(realtime, scheduled) {
+  const merged = { ...realtime };
+  for (const [lineColor, trains] of Object.entries(scheduled)) {
+    if (!merged[lineColor] || merged[lineColor].length === 0) {
+      merged[lineColor] = trains;
+    }
+  }
+  return merged;
+}
+
+// Clock time, e.g. "3:45 PM", or "15:45" with hour24
+function formatLastUpdated(date, { hour24 = false } = {}) {
+  const hours = date.getHours();
+  const minutes = date.getMinutes();
+  if (hour24) {
+    return `${hours < 10 ? `0${hours}` : hours}:${minutes < 10 ? `0${minutes}` : minutes}`;
+  }
+  const ampm = hours >= 12 ? "PM" : "AM";
+  const displayHours = hours === 0 ? 12 : (hours > 12 ? hours % 12 : hours);
+  const displayMinutes = minutes < 10 ? `0${minutes}` : minutes;
+  return `${displayHours}:${displayMinutes} ${ampm}`;
+}
+
+// Move estimates forward by elapsedMinutes, dropping trains that have left
+function shiftEstimates(etd, elapsedMinutes) {
+  return etd
+    .map((destination) => ({
+      ...destination,
+      estimate: destination.estimate
+        .map((estimate) => ({
+          ...estimate,
+          minutes: String((Number.parseInt(estimate.minutes) || 0) - elapsedMinutes),
+        }))
+        .filter((estimate) => Number.parseInt(estimate.minutes) >= 0),
+    }))
+    .filter((destination) => destination.estimate.length > 0);
+}
+
+// Service day of date as "2026-10-19". Trains before dayStartHour run on the
+// previous day's schedule.
+function getServiceDayKey(date, dayStartHour) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getHours() < dayStartHour ? 1 : 0));
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, "0"),
+    String(day.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+// Minute of the day as "08:12", wrapping past midnight
+function formatSlot(minuteOfDay) {
+  const minutes = (minuteOfDay + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Add a station's estimates, fetched at now, to the departure history and
+// drop days older than keepDays. History is kept as
+//   { [station]: { ["RedW|RICH|08:12"]: { [serviceDay]: entry } } }
+// keyed by line, destination and scheduled slot, the estimate less the delay
+// BART reports. Each entry is { seen, departure, delay, maxDelay, jumps }:
+// how often the train was seen, its latest estimated departure in ms, its
+// latest and largest delay in minutes and how often the estimate jumped.
+function recordDepartureHistory(history, station, etd, { now = new Date(), keepDays = 30, dayStartHour = 3 } = {}) {
+  const today = getServiceDayKey(now, dayStartHour);
+  const trains = history[station] || {};
+  history[station] = trains;
+  const matched = new Set();
+
+  const estimates = etd
+    .flatMap((destination) => destination.estimate.map((estimate) => ({ destination, estimate })))
+    .sort((a, b) => (Number.parseInt(a.estimate.minutes) || 0) - (Number.parseInt(b.estimate.minutes) || 0));
+  for (const { destination, estimate } of estimates) {
+    const departure = now.getTime() + (Number.parseInt(estimate.minutes) || 0) * 60000;
+    const delay = Math.round((Number.parseInt(estimate.delay) || 0) / 60);
+    const scheduled = new Date(departure - delay * 60000);
+    const slot = scheduled.getHours() * 60 + scheduled.getMinutes();
+
+    // Today's trains on this line that haven't left and weren't matched yet
+    const prefix = `${getLineColor(estimate)}|${destination.abbreviation}|`;
+    const candidates = Object.keys(trains).filter((key) =>
+      key.startsWith(prefix) &&
+      !matched.has(key) &&
+      trains[key][today] &&
+      trains[key][today].departure >= now.getTime() - 60000
+    );
+
+    // The same slot, give or take a minute of rounding, otherwise the train
+    // whose last estimate was closest, as when an estimate jumps without its
+    // delay changing
+    const slotKeys = [slot, slot - 1, slot + 1].map((minute) => prefix + formatSlot(minute));
+    const closest = candidates
+      .map((key) => ({ key, gap: Math.abs(trains[key][today].departure - departure) }))
+      .filter((candidate) => candidate.gap <= HISTORY_MATCH_MINUTES * 60000)
+      .sort((a, b) => a.gap - b.gap)[0];
+    const key = slotKeys.find((candidate) => candidates.includes(candidate)) ||
+      (closest ? closest.key : prefix + formatSlot(slot));
+    matched.add(key);
+    trains[key] = trains[key] || {};
+
+    const entry = trains[key][today];
+    if (!entry) {
+      trains[key][today] = { seen: 1, departure, delay, maxDelay: delay, jumps: 0 };
+      continue;
+    }
+    if (Math.abs(departure - entry.departure) >= HISTORY_JUMP_MINUTES * 60000) {
+      entry.jumps++;
+    }
+    entry.seen++;
+    entry.departure = departure;
+    entry.delay = delay;
+    entry.maxDelay = Math.max(entry.maxDelay, delay);
+  }
+
+  const oldest = getServiceDayKey(new Date(now.getTime() - keepDays * 86400000), dayStartHour);
+  for (const [stationAbbr, stationTrains] of Object.entries(history)) {
+    for (const [key, days] of Object.entries(stationTrains)) {
+      for (const day of Object.keys(days)) {
+        if (day < oldest) {
+          delete days[day];
+        }
+      }
+      if (Object.keys(days).length === 0) {
+        delete stationTrains[key];
+      }
+    }
+    if (Object.keys(stationTrains).length === 0) {
+      delete history[stationAbbr];
+    }
+  }
+  return history;
+}
+
+// Reliability of each scheduled train at station seen on at least minDays
+// days, in timetable order: [{ line, destination, slot, days, lateDays,
+// averageDelay, jumpDays }]. A day counts as late when the last delay seen was
+// HISTORY_LATE_MINUTES or more.
+function summarizeDepartureHistory(history, station, { minDays = 3, dayStartHour = 3 } = {}) {
+  const dayStart = dayStartHour * 60;
+  const slotOrder = (slot) => {
+    const [hours, minutes] = slot.split(":").map(Number);
+    return (hours * 60 + minutes - dayStart + 1440) % 1440;
+  };
+
+  return Object.entries(history[station] || {})
+    .map(([key, days]) => {
+      const [line, destination, slot] = key.split("|");
+      const entries = Object.values(days);
+      return {
+        line,
+        destination,
+        slot,
+        days: entries.length,
+        lateDays: entries.filter((entry) => entry.delay >= HISTORY_LATE_MINUTES).length,
+        averageDelay: Math.round((entries.reduce((total, entry) => total + entry.delay, 0) / entries.length) * 10) / 10,
+        jumpDays: entries.filter((entry) => entry.jumps > 0).length,
+      };
+    })
+    .filter((summary) => summary.days >= minDays)
+    .sort((a, b) => slotOrder(a.slot) - slotOrder(b.slot) || a.line.localeCompare(b.line));
+}
+
+// Whether now falls in a window of minutes of the day, e.g. { start: 1380,
+// end: 360 } for 11 PM to 6 AM. Windows may wrap past midnight.
+function isInTimeWindow(window, now) {
+  const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+  const { start, end } = window;
+  return start <= end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// Minutes until quiet hours end, or null when now is outside them
+function getMinutesUntilQuietEnd(quietHours, now) {
+  const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+  return isInTimeWindow(quietHours, now) ? (quietHours.end - minuteOfDay + 1440) % 1440 : null;
+}
+
+// The commute profile in effect, or null to fall back to the nearest station.
+// Profiles are { name, origin, destination, days, window }: days are
+// getDay() numbers and window is minutes of the day, or null for all day.
+// Of the profiles active now, those you're already closer to the destination
+// than the origin of are skipped, and the one whose origin is nearest wins;
+// ties keep the order they were given in.
+function selectCommuteProfile(profiles, stations, location, now = new Date()) {
+  const findStation = (abbr) => stations.find((station) => station.abbr === abbr);
+  const distanceTo = (station) => station && location
+    ? calculateDistance(
+      location.latitude,
+      location.longitude,
+      Number.parseFloat(station.gtfs_latitude),
+      Number.parseFloat(station.gtfs_longitude)
+    )
+    : Infinity;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const profile of profiles) {
+    if (!profile.days.includes(now.getDay()) || (profile.window && !isInTimeWindow(profile.window, now))) {
+      continue;
+    }
+    const originDistance = distanceTo(findStation(profile.origin));
+    if (distanceTo(findStation(profile.destination)) < originDistance) {
+      continue;
+    }
+    if (!best || originDistance < bestDistance) {
+      best = profile;
+      bestDistance = originDistance;
+    }
+  }
+  return best;
+}
+
+// When the widget should refresh next, as { minutes, reason }. intervalMinutes
+// is the shortest interval, used when a catchable train is soon or you're at
+// the station; everything else backs off from there:
+//   quietHours           { start, end } in minutes of the day, or null
+//   errorCount           consecutive failed refreshes, retried after
+//   errorRetryMinutes    doubling with each further failure
+//   distanceMiles        to the nearest station
+//   leaveInMinutes       until you need to leave for the next catchable train
+//   minutesUntilService  until the first train, when no trains are running
+function planRefresh({
+  now = new Date(),
+  intervalMinutes = 1,
+  quietHours = null,
+  errorCount = 0,
+  errorRetryMinutes = REFRESH_MINUTES.idle,
+  distanceMiles = null,
+  leaveInMinutes = null,
+  minutesUntilService = null,
+} = {}) {
+  const atLeastInterval = (minutes) => Math.max(intervalMinutes, Math.round(minutes));
+
+  const quietMinutes = quietHours ? getMinutesUntilQuietEnd(quietHours, now) : null;
+  if (quietMinutes !== null) {
+    return { minutes: atLeastInterval(quietMinutes), reason: "quiet hours" };
+  }
+
+  if (errorCount > 0) {
+    const backoff = Math.min(errorRetryMinutes * 2 ** (errorCount - 1), REFRESH_MINUTES.maxBackoff);
+    return {
+      minutes: atLeastInterval(backoff),
+      reason: `${errorCount} consecutive ${errorCount === 1 ? "error" : "errors"}`,
+    };
+  }
+
+  if (minutesUntilService !== null) {
+    return {
+      minutes: atLeastInterval(
+        Math.min(minutesUntilService - SERVICE_LEAD_MINUTES, REFRESH_MINUTES.maxOutOfService)
+      ),
+      reason: `outside service hours, first train in ${Math.round(minutesUntilService)} min`,
+    };
+  }
+
+  if (distanceMiles !== null && distanceMiles >= FAR_STATION_MILES) {
+    return {
+      minutes: atLeastInterval(REFRESH_MINUTES.far),
+      reason: `nearest station is ${distanceMiles.toFixed(1)} mi away`,
+    };
+  }
+
+  if (leaveInMinutes !== null && leaveInMinutes <= SOON_TRAIN_MINUTES) {
+    return { minutes: intervalMinutes, reason: `catchable train, leave in ${leaveInMinutes} min` };
+  }
+
+  if (distanceMiles !== null && distanceMiles <= NEAR_STATION_MILES) {
+    return { minutes: intervalMinutes, reason: "near the station" };
+  }
+
+  // Wake up in time for the next train to become "soon"
+  const untilSoon = leaveInMinutes !== null
+    ? leaveInMinutes - SOON_TRAIN_MINUTES
+    : REFRESH_MINUTES.idle;
+  return {
+    minutes: atLeastInterval(Math.min(REFRESH_MINUTES.idle, untilSoon)),
+    reason: leaveInMinutes !== null ? `next catchable train in ${leaveInMinutes} min` : "no catchable trains",
+  };
+}
+
+function isLineAllowed(color, lines) {
+  return !lines || lines.includes(color.slice(0, -1).toLowerCase());
+}
+
+// Departures split by platform, as [{ platform, departures }] with the
+// departures keyed by line like the input. Platforms are in number order,
+// trains without one (e.g. scheduled trains) last with a null platform.
+function groupByPlatform(departures) {
+  const groups = new Map();
+  for (const [color, trains] of Object.entries(departures)) {
+    for (const train of trains) {
+      const platform = train.platform || null;
+      if (!groups.has(platform)) {
+        groups.set(platform, {});
+      }
+      const group = groups.get(platform);
+      group[color] = group[color] || [];
+      group[color].push(train);
+    }
+  }
+
+  const platformOrder = (platform) => (platform === null ? Infinity : Number.parseInt(platform) || 0);
+  return [...groups.entries()]
+    .sort(([a], [b]) => platformOrder(a) - platformOrder(b) || String(a).localeCompare(String(b)))
+    .map(([platform, grouped]) => ({ platform, departures: grouped }));
+}
+
+// Flatten trains, sort them by departure time and regroup them by line color
+function groupByLineColor(trains) {
+  const grouped = {};
+  const sorted = [...trains].sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
+  for (const train of sorted) {
+    const color = train.lineColor;
+    if (!grouped[color]) {
+      grouped[color] = [];
+    }
+    grouped[color].push(train);
+  }
+  return grouped;
+}
+
+// Keep trains heading east or west of the SF border. Options: direction
+// ("east" or "west") to force one, lines to whitelist line names, and borderMiles.
+function filterRoutesByDirection(departures, latitude, longitude, { direction = null, lines = null, borderMiles = SF_BORDER_MILES } = {}) {
+  const isEast = direction
+    ? direction === "east"
+    : isEastOfSFBorder(latitude, longitude, borderMiles);
+
+  // Get all trains and their line colors
+  const allTrains = [];
+  for (const [color, trains] of Object.entries(departures)) {
+    // Skip lines not in the whitelist
+    if (!isLineAllowed(color, lines)) {
+      continue;
+    }
+
+    for (const train of trains) {
+      // Determine if the train is eastbound based on its direction
+      const isTrainEastbound = train.direction === "South" || train.direction === "East";
+
+      // Only add trains going in the correct direction based on location
+      if ((isEast && isTrainEastbound) || (!isEast && !isTrainEastbound)) {
+        allTrains.push({...train, lineColor: color});
+      }
+    }
+  }
+
+  return groupByLineColor(allTrains);
+}
+
+// How a train from origin towards trainDestination reaches target:
+// { direct: true }, { transfer: "MCAR" }, or null when it doesn't
+function findServiceToTarget(routes, origin, trainDestination, target) {
+  // Routes this train could be running: origin followed later by its destination
+  const trainRoutes = routes.filter((route) => {
+    const originIndex = route.stations.indexOf(origin);
+    return originIndex !== -1 && route.stations.indexOf(trainDestination) > originIndex;
+  });
+
+  for (const route of trainRoutes) {
+    const originIndex = route.stations.indexOf(origin);
+    const targetIndex = route.stations.indexOf(target);
+    if (targetIndex > originIndex && targetIndex <= route.stations.indexOf(trainDestination)) {
+      return { direct: true };
+    }
+  }
+
+  for (const route of trainRoutes) {
+    const originIndex = route.stations.indexOf(origin);
+    const lastIndex = route.stations.indexOf(trainDestination);
+    for (const transfer of route.stations.slice(originIndex + 1, lastIndex + 1)) {
+      // The connecting train must reach the target without doubling back through the origin
+      const connects = routes.some((other) => {
+        const transferIndex = other.stations.indexOf(transfer);
+        const targetIndex = other.stations.indexOf(target);
+        return (
+          transferIndex !== -1 &&
+          targetIndex > transferIndex &&
+          !other.stations.slice(transferIndex, targetIndex).includes(origin)
+        );
+      });
+      if (connects) {
+        return { transfer };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Keep only trains that serve the target station after the origin.
+// Options: lines to whitelist line names.
+function filterRoutesByDestination(departures, origin, target, routes, { lines = null } = {}) {
+  // Get all trains serving the target and their line colors
+  const allTrains = [];
+  for (const [color, trains] of Object.entries(departures)) {
+    // Skip lines not in the whitelist
+    if (!isLineAllowed(color, lines)) {
+      continue;
+    }
+
+    for (const train of trains) {
+      const service = findServiceToTarget(routes, origin, train.abbreviation, target);
+      if (service) {
+        allTrains.push({...train, lineColor: color, transfer: service.transfer || null});
+      }
+    }
+  }
+
+  return groupByLineColor(allTrains);
+}
+
+module.exports = {
+  SF_BORDER_MILES,
+  ERROR_TYPES,
+  BartError,
+  getErrorType,
+  isTransientError,
+  createBartApi,
+  calculateDistance,
+  calculateDistanceFromSF,
+  isEastOfSFBorder,
+  findClosestStation,
+  findStationInText,
+  getLineColor,
+  tintHexColor,
+  getContrastRatio,
+  getContrastingTextColor,
+  parseBartTime,
+  formatBartDate,
+  formatBartTime,
+  formatDepartures,
+  formatScheduledDepartures,
+  mergeScheduledDepartures,
+  formatLastUpdated,
+  shiftEstimates,
+  recordDepartureHistory,
+  summarizeDepartureHistory,
+  isInTimeWindow,
+  selectCommuteProfile,
+  planRefresh,
+  groupByPlatform,
+  filterRoutesByDirection,
+  findServiceToTarget,
+  filterRoutesByDestination,
+};
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/*** BART CLI ***
+ * Prints the widget's departure board in a terminal, using the same core
+ * logic as the Scriptable widget (bart-core.js). Requires Node 18 or later.
+ *
+ * USAGE
+ *   node cli.js --lat 37.8083 --lon -122.2686
+ *   node cli.js --station 19TH --to DUBL --json
+ *   node cli.js --station MCAR --base-url http://localhost:8080/api
+ *
+ * The API key is read from --key or the BART_API_KEY environment variable.
+ */
+
+const { parseArgs } = require("node:util");
+const Core = require("./bart-core");
+
+// The core logs diagnostics with console.log; keep stdout for the board and
+// only show them with --verbose
+console.log = process.argv.includes("--verbose") ? console.error : () => {};
+
+const DEFAULT_BASE_URL = "https://api.bart.gov/api";
+const DEFAULT_TRAINS_PER_LINE = 3;
+
+const USAGE = `Usage: node cli.js (--lat <latitude> --lon <longitude> | --station <abbr>) [options]
+
+Options:
+  --lat, --lon       Find the nearest station to this location
+  --station <abbr>   Use this station (e.g. 19TH)
+  --to <abbr>        Only show trains that serve this station
+  --direction <dir>  Force "east" or "west" instead of the location heuristic
+  --lines <names>    Comma-separated lines to show (e.g. red,yellow)
+  --trains <n>       Trains per line (default ${DEFAULT_TRAINS_PER_LINE})
+  --json             Print JSON instead of text
+  --base-url <url>   BART API base URL (default ${DEFAULT_BASE_URL})
+  --key <key>        BART API key (default $BART_API_KEY)
+  --verbose          Log API diagnostics to stderr
+  --help             Show this help`;
+
+// Node's HTTP adapter for the core API client
+async function loadJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    // The core turns the status into a typed error, e.g. 429 into rateLimited
+    const error = new Error(`BART API returned HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// parseArgs reads a negative number like "-122.27" as an option, so join
+// coordinates to their flag as "--lon=-122.27"
+function joinCoordinates(argv) {
+  const args = [];
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if ((arg === "--lat" || arg === "--lon") && /^-\d/.test(argv[index + 1] || "")) {
+      args.push(`${arg}=${argv[index + 1]}`);
+      index++;
+    } else {
+      args.push(arg);
+    }
+  }
+  return args;
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: joinCoordinates(argv),
+    options: {
+      lat: { type: "string" },
+      lon: { type: "string" },
+      station: { type: "string" },
+      to: { type: "string" },
+      direction: { type: "string" },
+      lines: { type: "string" },
+      trains: { type: "string" },
+      json: { type: "boolean", default: false },
+      "base-url": { type: "string", default: DEFAULT_BASE_URL },
+      key: { type: "string", default: process.env.BART_API_KEY || "YOUR_API_KEY" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  const hasLocation = values.lat !== undefined || values.lon !== undefined;
+  const location = hasLocation
+    ? { latitude: Number.parseFloat(values.lat), longitude: Number.parseFloat(values.lon) }
+    : null;
+  if (location && (!Number.isFinite(location.latitude) || !Number.isFinite(location.longitude))) {
+    throw new Error("--lat and --lon must both be numbers");
+  }
+  if (!values.help && !location && !values.station) {
+    throw new Error("Give --lat and --lon, or --station");
+  }
+
+  const direction = values.direction ? values.direction.toLowerCase() : null;
+  if (direction && direction !== "east" && direction !== "west") {
+    throw new Error('--direction must be "east" or "west"');
+  }
+
+  return {
+    help: values.help,
+    json: values.json,
+    baseUrl: values["base-url"].replace(/\/$/, ""),
+    apiKey: values.key,
+    location,
+    station: values.station ? values.station.toUpperCase() : null,
+    target: values.to ? values.to.toUpperCase() : null,
+    direction,
+    lines: values.lines ? values.lines.split(",").map((line) => line.trim().toLowerCase()) : null,
+    trainsPerLine: Number.parseInt(values.trains) || DEFAULT_TRAINS_PER_LINE,
+  };
+}
+
+// Load the station, its departures and filter them the way the widget does
+async function loadBoard(options) {
+  const api = Core.createBartApi({
+    baseUrl: options.baseUrl,
+    apiKey: options.apiKey,
+    loadJSON,
+  });
+
+  const stations = await api.getStationList();
+  let closest;
+  if (options.location) {
+    [closest] = Core.findClosestStation(stations, options.location, { pinned: options.station });
+  } else {
+    const station = stations.find((candidate) => candidate.abbr === options.station);
+    closest = station ? { station, distance: null } : null;
+  }
+  if (!closest || (options.station && closest.station.abbr !== options.station)) {
+    throw new Error(`Unknown station: ${options.station}`);
+  }
+
+  // Without a location, the station's own coordinates decide the direction
+  const location = options.location || {
+    latitude: Number.parseFloat(closest.station.gtfs_latitude),
+    longitude: Number.parseFloat(closest.station.gtfs_longitude),
+  };
+
+  const etd = await api.getStationDepartures(closest.station.abbr);
+  const allDepartures = Core.formatDepartures(etd);
+  const departures = options.target
+    ? Core.filterRoutesByDestination(
+      allDepartures,
+      closest.station.abbr,
+      options.target,
+      await api.getRoutes(),
+      options
+    )
+    : Core.filterRoutesByDirection(allDepartures, location.latitude, location.longitude, options);
+
+  return { closest, departures, updated: new Date() };
+}
+
+function formatTrainTime(train) {
+  if (train.cancelled) {
+    return `Cancelled (${train.departureTime})`;
+  }
+  const minutes = Number.parseInt(train.minutes);
+  const late = train.delay > 0 ? `${train.delay} min late` : "";
+  if (!minutes) {
+    return late ? `Leaving (${late})` : "Leaving";
+  }
+  return `${minutes} min (${train.departureTime}${late ? `, ${late}` : ""})`;
+}
+
+function formatText(board, options) {
+  const { closest, departures, updated } = board;
+  const lines = [];
+
+  const distance = closest.distance === null
+    ? ""
+    : ` · ${(closest.distance * 0.621371).toFixed(1)} mi`;
+  lines.push(`${closest.station.name} (${closest.station.abbr})${distance}`);
+  if (options.target) {
+    lines.push(`Trains to ${options.target}`);
+  }
+  lines.push("");
+
+  const entries = Object.entries(departures);
+  for (const [color, trains] of entries) {
+    const [nextTrain, ...laterTrains] = trains.slice(0, options.trainsPerLine);
+    const indicator = color.endsWith("E") ? "→●" : "●←";
+    const destination = nextTrain.transfer
+      ? `${nextTrain.destination} via ${nextTrain.transfer}`
+      : nextTrain.destination;
+    const later = laterTrains.length > 0
+      ? ` +${laterTrains
+        .map((train) => (train.cancelled ? `${train.departureTime} cancelled` : train.departureTime))
+        .join(", ")}`
+      : "";
+    lines.push(
+      `${indicator} ${color.slice(0, -1).padEnd(7)} ${destination}: ${formatTrainTime(nextTrain)}${later}`
+    );
+  }
+  if (entries.length === 0) {
+    lines.push("No trains at this time");
+  }
+
+  lines.push("");
+  lines.push(`Last Updated ${Core.formatLastUpdated(updated)}`);
+  return lines.join("\n");
+}
+
+function formatJSON(board, options) {
+  const { closest, departures, updated } = board;
+  return JSON.stringify(
+    {
+      station: {
+        abbr: closest.station.abbr,
+        name: closest.station.name,
+        address: closest.station.address,
+      },
+      distanceKm: closest.distance,
+      target: options.target,
+      updated: updated.toISOString(),
+      lines: Object.entries(departures).map(([color, trains]) => ({
+        line: color.slice(0, -1),
+        direction: color.endsWith("E") ? "east" : "west",
+        trains: trains.slice(0, options.trainsPerLine).map((train) => ({
+          destination: train.destination,
+          abbreviation: train.abbreviation,
+          minutes: Number.parseInt(train.minutes) || 0,
+          departureTime: train.actualDepartureTime.toISOString(),
+          length: Number.parseInt(train.length) || null,
+          direction: train.direction,
+          transfer: train.transfer || null,
+          delayMinutes: train.delay,
+          platform: train.platform,
+          bikes: train.bikes,
+          cancelled: train.cancelled,
+        })),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  try {
+    const board = await loadBoard(options);
+    process.stdout.write(`${options.json ? formatJSON(board, options) : formatText(board, options)}\n`);
+  } catch (error) {
+    // An empty board isn't a failure
+    if (Core.getErrorType(error) === Core.ERROR_TYPES.NO_SERVICE) {
+      process.stdout.write("No trains at this time\n");
+      return;
+    }
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
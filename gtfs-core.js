@@ -0,0 +1,406 @@
+/*** GTFS CORE ***
+ * Stops and real-time departures for transit agencies other than BART, read
+ * from a GTFS static feed and a GTFS-Realtime TripUpdates feed. Like
+ * bart-core.js, nothing in this file may use Scriptable globals: loadText and
+ * loadBytes are passed in, so feeds can come from a server or fixture files.
+ *
+ * In Scriptable this file is loaded with importModule("gtfs-core"),
+ * in Node with require("./gtfs-core").
+ */
+
+// GTFS-Realtime enum values the departures depend on, by name. The JSON
+// form of a feed gives enums by name, protobuf by number.
+const TRIP_RELATIONSHIPS = { SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3, DELETED: 7 };
+const STOP_RELATIONSHIPS = { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 };
+
+// The parts of gtfs-realtime.proto needed for TripUpdates, as
+// { fieldNumber: [name, type, repeated] }. Types are other messages or
+// "string", "uint" and "int32".
+const TRIP_UPDATES_SCHEMA = {
+  FeedMessage: {
+    2: ["entity", "FeedEntity", true],
+  },
+  FeedEntity: {
+    1: ["id", "string"],
+    3: ["tripUpdate", "TripUpdate"],
+  },
+  TripUpdate: {
+    1: ["trip", "TripDescriptor"],
+    2: ["stopTimeUpdate", "StopTimeUpdate", true],
+    4: ["timestamp", "uint"],
+    5: ["delay", "int32"],
+  },
+  TripDescriptor: {
+    1: ["tripId", "string"],
+    4: ["scheduleRelationship", "uint"],
+    5: ["routeId", "string"],
+    6: ["directionId", "uint"],
+  },
+  StopTimeUpdate: {
+    1: ["stopSequence", "uint"],
+    2: ["arrival", "StopTimeEvent"],
+    3: ["departure", "StopTimeEvent"],
+    4: ["stopId", "string"],
+    5: ["scheduleRelationship", "uint"],
+  },
+  StopTimeEvent: {
+    1: ["delay", "int32"],
+    2: ["time", "uint"],
+  },
+};
+
+// Rows of a CSV file as objects keyed by the header row. Handles quoted
+// fields, doubled quotes, CRLF line endings and a byte order mark.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, "");
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((values) => values.some((value) => value !== ""));
+  const names = header.map((name) => name.trim());
+  return records.map((values) =>
+    Object.fromEntries(names.map((name, index) => [name, (values[index] || "").trim()]))
+  );
+}
+
+// Stations from stops.txt in the same shape as BART's station list, e.g.
+// { abbr: "caltrain:70011", name, gtfs_latitude, gtfs_longitude, agency,
+//   stopIds: ["70011", "70012"] }. Platforms are folded into their parent
+// station; stops without a parent, like most bus stops, are stations
+// themselves. Also returns every stop's name by stop_id for destinations.
+function parseGtfsStops(stopsCsv, agencyId) {
+  const stops = parseCsv(stopsCsv);
+  const stopNames = {};
+  const stations = {};
+
+  for (const stop of stops) {
+    stopNames[stop.stop_id] = stop.stop_name;
+    const isStation = stop.location_type === "1" || (!stop.parent_station && (stop.location_type || "0") === "0");
+    if (isStation) {
+      stations[stop.stop_id] = {
+        abbr: `${agencyId}:${stop.stop_id}`,
+        name: stop.stop_name,
+        address: stop.stop_desc || "",
+        gtfs_latitude: stop.stop_lat,
+        gtfs_longitude: stop.stop_lon,
+        agency: agencyId,
+        stopIds: [stop.stop_id],
+      };
+    }
+  }
+
+  for (const stop of stops) {
+    const parent = stations[stop.parent_station];
+    if (parent && (stop.location_type || "0") === "0") {
+      parent.stopIds.push(stop.stop_id);
+    }
+  }
+
+  return { stations: Object.values(stations), stopNames };
+}
+
+// Routes from routes.txt by route_id, e.g. { "N": { name: "N", longName: "Judah", color: "#005B95" } }
+function parseGtfsRoutes(routesCsv) {
+  const routes = {};
+  for (const route of parseCsv(routesCsv)) {
+    routes[route.route_id] = {
+      name: route.route_short_name || route.route_long_name || route.route_id,
+      longName: route.route_long_name || "",
+      color: /^[0-9a-f]{6}$/i.test(route.route_color) ? `#${route.route_color}` : null,
+    };
+  }
+  return routes;
+}
+
+// Headsigns from trips.txt by trip_id, e.g. { "101": "San Jose Diridon" }
+function parseGtfsTrips(tripsCsv) {
+  const headsigns = {};
+  for (const trip of parseCsv(tripsCsv)) {
+    if (trip.trip_headsign) {
+      headsigns[trip.trip_id] = trip.trip_headsign;
+    }
+  }
+  return headsigns;
+}
+
+// Each trip's last stop from stop_times.txt by trip_id, e.g. { "101": "70261" }
+function parseGtfsLastStops(stopTimesCsv) {
+  const lastStops = {};
+  const sequences = {};
+  for (const stopTime of parseCsv(stopTimesCsv)) {
+    const sequence = Number(stopTime.stop_sequence);
+    if (!(sequences[stopTime.trip_id] >= sequence)) {
+      sequences[stopTime.trip_id] = sequence;
+      lastStops[stopTime.trip_id] = stopTime.stop_id;
+    }
+  }
+  return lastStops;
+}
+
+// Unsigned varint at reader.pos as { low, high } 32-bit halves, so 64-bit
+// values and negative int32s (sent as ten-byte varints) decode exactly
+function readVarint(reader) {
+  let low = 0;
+  let high = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (reader.pos >= reader.end) {
+      throw new Error("Truncated GTFS-Realtime varint");
+    }
+    byte = reader.bytes[reader.pos++];
+    if (shift < 28) {
+      low |= (byte & 0x7f) << shift;
+    } else if (shift === 28) {
+      low |= (byte & 0x0f) << 28;
+      high |= (byte & 0x7f) >> 4;
+    } else {
+      high |= (byte & 0x7f) << (shift - 32);
+    }
+    shift += 7;
+  } while (byte & 0x80);
+  return { low: low >>> 0, high: high >>> 0 };
+}
+
+function decodeUtf8(bytes, start, end) {
+  let encoded = "";
+  for (let index = start; index < end; index++) {
+    encoded += `%${bytes[index].toString(16).padStart(2, "0")}`;
+  }
+  return decodeURIComponent(encoded);
+}
+
+// One protobuf message of type between start and end, keeping only the
+// fields in TRIP_UPDATES_SCHEMA and skipping the rest
+function decodeMessage(bytes, start, end, type) {
+  const fields = TRIP_UPDATES_SCHEMA[type];
+  const message = {};
+  const reader = { bytes, pos: start, end };
+
+  while (reader.pos < end) {
+    const key = readVarint(reader).low;
+    const fieldNumber = key >>> 3;
+    const wireType = key & 7;
+    const [name, fieldType, repeated] = fields[fieldNumber] || [];
+
+    let value;
+    if (wireType === 0) {
+      const varint = readVarint(reader);
+      value = fieldType === "int32" ? varint.low | 0 : varint.high * 4294967296 + varint.low;
+    } else if (wireType === 2) {
+      const length = readVarint(reader).low;
+      const fieldStart = reader.pos;
+      reader.pos += length;
+      if (reader.pos > end) {
+        throw new Error("Truncated GTFS-Realtime message");
+      }
+      if (name) {
+        value = fieldType === "string"
+          ? decodeUtf8(bytes, fieldStart, reader.pos)
+          : decodeMessage(bytes, fieldStart, reader.pos, fieldType);
+      }
+    } else if (wireType === 1) {
+      reader.pos += 8;
+    } else if (wireType === 5) {
+      reader.pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    if (name && value !== undefined) {
+      if (repeated) {
+        message[name] = message[name] || [];
+        message[name].push(value);
+      } else {
+        message[name] = value;
+      }
+    }
+  }
+  return message;
+}
+
+// TripUpdates from a GTFS-Realtime feed, given as protobuf bytes or as the
+// feed's JSON form (what gtfs-realtime-bindings' toObject produces, handy for
+// fixtures). Returns [{ trip: { tripId, routeId, directionId }, stopTimeUpdate }].
+function decodeTripUpdates(bytes) {
+  const firstByte = [...bytes.slice(0, 16)].find((byte) => ![9, 10, 13, 32].includes(byte));
+  const feed = firstByte === 0x7b // "{"
+    ? JSON.parse(decodeUtf8(bytes, 0, bytes.length))
+    : decodeMessage(bytes, 0, bytes.length, "FeedMessage");
+
+  return (feed.entity || [])
+    .map((entity) => entity.tripUpdate || entity.trip_update)
+    .filter(Boolean);
+}
+
+// An enum field as its number, given either as the number or by name
+function getEnumValue(value, values) {
+  return Object.prototype.hasOwnProperty.call(values, value) ? values[value] : Number(value);
+}
+
+// Seconds since the epoch of a stop time event, which JSON feeds may give as
+// a string
+function getEventTime(event) {
+  const time = event && Number(event.time);
+  return time > 0 ? time : null;
+}
+
+// Upcoming departures from a GTFS station (parseGtfsStops), grouped by route
+// and direction like bart-core's formatDepartures, e.g. "muni:N:0". Feeds
+// often list only some of a trip's stops, so its destination is the trip's
+// headsign from trips.txt, or the last stop from stop_times.txt or the update.
+function formatGtfsDepartures(station, tripUpdates, gtfs, now = new Date(), formatTime) {
+  const stopIds = new Set(station.stopIds);
+  const headsigns = gtfs.headsigns || {};
+  const lastStops = gtfs.lastStops || {};
+  const departures = {};
+
+  for (const tripUpdate of tripUpdates) {
+    const trip = tripUpdate.trip || {};
+    const tripRelationship = getEnumValue(trip.scheduleRelationship, TRIP_RELATIONSHIPS);
+    if ([TRIP_RELATIONSHIPS.CANCELED, TRIP_RELATIONSHIPS.DELETED].includes(tripRelationship)) {
+      continue;
+    }
+    const stopTimeUpdates = [].concat(tripUpdate.stopTimeUpdate || []);
+    const update = stopTimeUpdates.find((candidate) =>
+      stopIds.has(candidate.stopId) &&
+      ![STOP_RELATIONSHIPS.SKIPPED, STOP_RELATIONSHIPS.NO_DATA].includes(
+        getEnumValue(candidate.scheduleRelationship, STOP_RELATIONSHIPS)
+      )
+    );
+    const event = update && (getEventTime(update.departure) ? update.departure : update.arrival);
+    const time = getEventTime(event);
+    if (!time || time * 1000 < now.getTime()) {
+      continue;
+    }
+
+    // Trips ending here don't depart. Without stop_times.txt, a trip ends
+    // here when this is its last update and it only has an arrival.
+    const lastUpdate = stopTimeUpdates[stopTimeUpdates.length - 1];
+    const lastStopId = lastStops[trip.tripId] || lastUpdate.stopId;
+    const endsHere = lastStops[trip.tripId]
+      ? stopIds.has(lastStops[trip.tripId])
+      : lastUpdate === update && !getEventTime(update.departure);
+    if (endsHere) {
+      continue;
+    }
+    const route = gtfs.routes[trip.routeId] || { name: trip.routeId || "?", longName: "", color: null };
+    const lastStopName = stopIds.has(lastStopId) ? null : gtfs.stopNames[lastStopId];
+
+    const departureTime = new Date(time * 1000);
+    const lineKey = `${station.agency}:${trip.routeId}:${trip.directionId === undefined ? "" : trip.directionId}`;
+    if (!departures[lineKey]) {
+      departures[lineKey] = [];
+    }
+    departures[lineKey].push({
+      destination: headsigns[trip.tripId] || lastStopName || route.longName || route.name,
+      abbreviation: lastStopId,
+      minutes: String(Math.max(0, Math.floor((departureTime - now) / 60000))),
+      departureTime: formatTime(departureTime),
+      actualDepartureTime: departureTime,
+      length: null,
+      direction: trip.directionId === undefined ? null : String(trip.directionId),
+      hexcolor: route.color,
+      delay: Math.round((Number(event.delay) || 0) / 60),
+      platform: null,
+      bikes: null,
+      cancelled: false,
+      route: route.name,
+      lineColor: lineKey,
+    });
+  }
+
+  for (const line in departures) {
+    departures[line].sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
+  }
+  return departures;
+}
+
+// GTFS feed for one agency. staticUrl is the folder holding the feed's
+// stops.txt and routes.txt, and optionally trips.txt and stop_times.txt;
+// realtimeUrl serves TripUpdates. loadText(url) and loadBytes(url) are the
+// platform's loaders, resolving to a string and to an array of bytes.
+function createGtfsFeed({ agencyId, staticUrl, realtimeUrl, loadText, loadBytes }) {
+  const base = staticUrl.replace(/\/$/, "");
+
+  // An optional file parsed with parse, or {} when the feed leaves it out
+  const loadOptional = async (name, parse) => {
+    try {
+      return parse(await loadText(`${base}/${name}`));
+    } catch (error) {
+      console.log(`Skipping ${agencyId} ${name}: ${error.message}`);
+      return {};
+    }
+  };
+
+  return {
+    // { stations, stopNames, routes, headsigns, lastStops } from the static feed
+    async getStatic() {
+      try {
+        const stops = parseGtfsStops(await loadText(`${base}/stops.txt`), agencyId);
+        const routes = parseGtfsRoutes(await loadText(`${base}/routes.txt`));
+        const headsigns = await loadOptional("trips.txt", parseGtfsTrips);
+        const lastStops = await loadOptional("stop_times.txt", parseGtfsLastStops);
+        return { ...stops, routes, headsigns, lastStops };
+      } catch (error) {
+        console.log(`Error loading ${agencyId} GTFS feed:`, error);
+        throw error;
+      }
+    },
+
+    async getTripUpdates() {
+      try {
+        return decodeTripUpdates(await loadBytes(realtimeUrl));
+      } catch (error) {
+        console.log(`Error loading ${agencyId} trip updates:`, error);
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseGtfsStops,
+  parseGtfsRoutes,
+  parseGtfsTrips,
+  parseGtfsLastStops,
+  decodeTripUpdates,
+  formatGtfsDepartures,
+  createGtfsFeed,
+};
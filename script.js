@@ -12,38 +12,784 @@
  *    - East of SF: Shows only eastbound trains
  *    - West of SF: Shows only westbound trains
  *    - Within 7 miles of SF: Shows westbound trains
- * 3. Updates every minute with fresh departure times
+ * 3. Updates with fresh departure times, every minute when a train is close
  * 4. Sorts all trains by earliest departure time
  *
  * DISPLAY INFORMATION
  * - Station name and distance from your location
  * - Train line colors with direction arrows (→● or ●←)
  * - Next train shown in minutes and actual time (e.g., "5 min (3:45 PM)")
+ * - When to leave for each train based on walking time ("Leave in 3 min")
  * - Additional trains sorted by departure time
+ * - Delay badges ("+4") and cancelled trains struck through
+ * - Trains by platform, with whether bikes are allowed, in the detailed view
  * - Distance from San Francisco
  * - Last updated timestamp
- * - Only shows trains heading in relevant direction based on your location
+ * - Service advisories and elevator outages at your station
+ * - Scheduled times, labeled "Scheduled", for lines without real-time estimates
+ * - "Last train at 12:04 AM" warning near the end of service
+ * - Fares to your target station with Clipper discounts (table and large widget)
+ * - When to leave for your next calendar event near a BART station
+ * - Only shows trains heading in relevant direction based on your location,
+ *   or toward the destination of the active commute profile
  *
  * SUPPORTED LINES
+ * Every line the BART API reports, colored with the API's line colors:
  * Red (Richmond ↔ Millbrae), Yellow (Antioch ↔ SFO),
- * Orange (Berryessa ↔ Richmond), Green (Berryessa ↔ Daly City)
+ * Orange (Berryessa ↔ Richmond), Green (Berryessa ↔ Daly City),
+ * Blue (Dublin/Pleasanton ↔ Daly City) and the Oakland Airport connector
+ *
+ * WIDGET PARAMETER
+ * Paste your API key, or configure each widget with key=value pairs:
+ *   key=YOUR_API_KEY;station=MCAR;direction=west;lines=red,yellow;trains=4
+ * Supported keys: key, station, direction, lines, trains, walk, refresh, border,
+ * to, home, work, mode, elevators, radius, missed, buffer, output, lang, time,
+ * units, accessible, lasttrain, fare, quiet, calendar, lookahead, agencies,
+ * transitkey, feeds, profiles, history
+ * Set to=DUBL (or home=DUBL;work=EMBR) to show only trains that serve that
+ * station, with transfers labeled, instead of the east/west heuristic.
+ * Add mode=trip to list trips with arrival times and transfers instead.
+ * Set profiles=Morning,MCAR,EMBR,weekdays,6-10|Evening,EMBR,MCAR,weekdays,16-20
+ * to switch station and target by time of day; the profile's name replaces
+ * the header while it is active.
+ * Set elevators=always to show elevator status even when all are working.
+ * Set walk=6 (km/h) for a faster walking speed, radius=150 (meters) to count
+ * as already at the station, and missed=hide to hide trains you can't catch.
+ * Set lang=es or lang=zh for Spanish or Chinese, time=24 for 24-hour times
+ * and units=km for kilometers. All three follow the device when unset.
+ * Set accessible=on for letter badges with arrows instead of color dots,
+ * higher contrast colors and text that follows the Dynamic Type size.
+ * Set lasttrain=90 to warn about the last train 90 minutes ahead (0 turns the
+ * warning off). Set fare=on to show the fare to the target station on large
+ * widgets; the table always shows it.
+ * The widget refreshes every `refresh` minutes only when a train is close or
+ * you're at the station, and backs off when you're far away, overnight and
+ * after errors. Set quiet=23-6 to pause refreshes during those hours.
+ * Set calendar=Work (or all) to get the train to your next meeting at or near
+ * a BART station within lookahead hours (default 3).
+ * Set history=on to record departures for 30 days (history=60 for 60) and see
+ * how often each scheduled train runs late in the detailed view.
+ * Set agencies=caltrain,muni;transitkey=YOUR_511_KEY to include Caltrain,
+ * Muni or AC Transit stops from their GTFS feeds (see GTFS_AGENCIES), and
+ * feeds=caltrain:URL to read an agency's real-time feed from another URL.
+ * JSON works too. The API key is remembered once it has been entered.
+ *
+ * SIRI AND SHORTCUTS
+ * Run from Siri to hear a summary of the next trains. In Shortcuts the script
+ * outputs the summary and departures as a dictionary (output=text for just
+ * the summary). Shortcut input may name a station, or use the same keys as
+ * the widget parameter, e.g. to=DUBL;mode=trip.
+ *
+ * SHARED CORE
+ * Departure logic lives in bart-core.js, which must be installed next to
+ * this script as a script named "bart-core". cli.js uses it from Node.
+ * Other agencies' GTFS feeds are read by gtfs-core.js, installed the same
+ * way as "gtfs-core".
  *
  * TIPS
  * - Make sure location services are enabled
  * - The widget works best on your home screen or in Today View
- * - Tap the widget to see more detailed train information
+ * - Tap the widget to see more detailed train information. The header,
+ *   each line and the advisories open the station, that line's trains or all
+ *   advisories, e.g. scriptable:///run/BART?station=MCAR&line=RedE
  */
 
+// Shared departure logic, see bart-core.js and gtfs-core.js
+const Core = importModule("bart-core");
+const Gtfs = importModule("gtfs-core");
+const {
+  calculateDistance,
+  calculateDistanceFromSF,
+  formatLastUpdated,
+  parseBartTime,
+  shiftEstimates,
+} = Core;
+
 // Configuration
-const REFRESH_INTERVAL_MINUTES = 1; // Widget will refresh every minute
-const BART_API_KEY = args.widgetParameter || "YOUR_API_KEY"; // Use widget parameter or fallback
+const REFRESH_INTERVAL_MINUTES = 1; // Shortest refresh interval, used when a train is close
+const WALKING_SPEED_KMH = 5; // Average walking speed
+const LEAVE_NOW_MINUTES = 2; // Slack within which a train means "leave now"
+const REMINDER_BUFFER_MINUTES = 2; // Extra time before leaving for a reminded train
+const REMINDER_MATCH_MINUTES = 10; // How far a train's estimate may move and still match its reminder
+const REMINDER_RESCHEDULE_MINUTES = 2; // How far it must move to reschedule, ignoring ETD rounding
+const REMINDER_THREAD = "bart-reminders";
 const BART_API_BASE = "https://api.bart.gov/api";
+const API_KEY_KEYCHAIN_KEY = "bartApiKey";
+const PINNED_STATION_KEYCHAIN_KEY = "pinnedStation";
+const NEAREST_STATION_COUNT = 5; // Stations offered in the table's station switcher
+const CACHE_DIRECTORY = "bart-widget";
+const ROUTES_CACHE_HOURS = 24 * 7; // Route station order rarely changes
+const STATIONS_CACHE_HOURS = 24 * 7; // Station list rarely changes
+const ETD_STALE_MINUTES = 60; // Oldest cached departures shown when offline
+const ALERTS_CACHE_MINUTES = 5; // Reuse advisories between refreshes
+const ALERTS_STALE_MINUTES = 60; // Oldest advisories shown when a fetch fails
+const TRIP_UPDATES_CACHE_MINUTES = 3; // 511.org allows about 60 requests an hour per key
+const SCHEDULE_TRAINS_PER_LINE = 6; // Scheduled trains kept for lines without estimates
+const SERVICE_DAY_START_HOUR = 3; // Trains before 3 AM run on the previous day's schedule
+const LAST_TRAIN_WINDOW_MINUTES = 60; // How long before the last train to warn about it
+const FARES_CACHE_DAYS = 30; // Fares change a few times a year
+const MEETING_LOOKAHEAD_HOURS = 3; // How far ahead to look for calendar events
+const MEETING_WALK_MAX_KM = 1.5; // Farthest an event may be from its station
+const MEETING_CACHE_MINUTES = 10; // Reuse an event's station and trips between refreshes
+const HISTORY_DAYS = 30; // Days of departure history kept with history=on
+const HISTORY_MIN_DAYS = 3; // Days a train must be seen on before its reliability is shown
+const HISTORY_FILE = "history.json";
+const FARE_DESTINATION_KEYCHAIN_KEY = "fareDestination";
+const PROFILE_OVERRIDE_KEYCHAIN_KEY = "commuteProfileOverride";
+
+// BART, and the other agencies read from GTFS feeds and enabled with the
+// agencies setting. staticUrl is a folder with the feed's stops.txt and
+// routes.txt: 511.org publishes them zipped, so unzip them onto a server or
+// into Scriptable's folder in iCloud Drive (URLs that don't start with http
+// are paths in that folder). realtimeUrl serves GTFS-Realtime TripUpdates;
+// {key} is replaced with the transitkey setting. The feeds setting overrides it.
+const BART_AGENCY = { id: "bart", name: "BART", color: "#0099D8" };
+const GTFS_AGENCIES = [
+  {
+    id: "caltrain",
+    name: "Caltrain",
+    color: "#E31837",
+    staticUrl: "gtfs/caltrain",
+    realtimeUrl: "https://api.511.org/transit/tripupdates?api_key={key}&agency=CT",
+  },
+  {
+    id: "muni",
+    name: "Muni",
+    color: "#BA0C2F",
+    staticUrl: "gtfs/muni",
+    realtimeUrl: "https://api.511.org/transit/tripupdates?api_key={key}&agency=SF",
+  },
+  {
+    id: "actransit",
+    name: "AC Transit",
+    color: "#00A55E",
+    staticUrl: "gtfs/actransit",
+    realtimeUrl: "https://api.511.org/transit/tripupdates?api_key={key}&agency=AC",
+  },
+];
+const AGENCY_STOP_RADIUS_KM = 0.5; // Other providers' stops listed under the station shown within this distance
 
-// San Francisco city center coordinates
-const SF_LATITUDE = 37.7749;
-const SF_LONGITUDE = -122.4194;
+// Distance from San Francisco at which trains switch direction
 const SF_BORDER_MILES = 7;
 
+// Widget parameter keys and the setting each one maps to
+const PARAMETER_ALIASES = {
+  key: "apiKey",
+  apikey: "apiKey",
+  station: "station",
+  direction: "direction",
+  dir: "direction",
+  lines: "lines",
+  trains: "maxTrains",
+  maxtrains: "maxTrains",
+  walk: "walkingSpeed",
+  walkingspeed: "walkingSpeed",
+  refresh: "refreshMinutes",
+  border: "borderMiles",
+  to: "destination",
+  dest: "destination",
+  destination: "destination",
+  home: "home",
+  work: "work",
+  mode: "mode",
+  elevators: "elevatorStatus",
+  radius: "stationRadius",
+  missed: "missedTrains",
+  buffer: "reminderBuffer",
+  lasttrain: "lastTrainWindow",
+  output: "output",
+  lang: "language",
+  language: "language",
+  time: "timeFormat",
+  clock: "timeFormat",
+  units: "units",
+  unit: "units",
+  accessible: "accessible",
+  a11y: "accessible",
+  fare: "showFare",
+  fares: "showFare",
+  quiet: "quietHours",
+  quiethours: "quietHours",
+  calendar: "calendar",
+  cal: "calendar",
+  lookahead: "lookaheadHours",
+  history: "historyDays",
+  agencies: "agencies",
+  agency: "agencies",
+  transitkey: "transitKey",
+  feeds: "feeds",
+  feed: "feeds",
+  profiles: "profiles",
+  profile: "profiles",
+  commute: "profiles",
+};
+
+// Day names for commute profiles, in getDay() order
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Number of upcoming trips shown for each widget size in trip mode
+const TRIPS_PER_WIDGET = {
+  small: 1,
+  medium: 3,
+  large: 4,
+  extraLarge: 4,
+};
+
+// Regions whose people measure distance in miles; kilometers elsewhere
+const MILES_REGIONS = ["US", "GB", "LR", "MM"];
+
+// User-facing text by language: plain strings, or functions for text with
+// values filled in. Chinese is Traditional, as on BART's own signage.
+// Entries missing from a language fall back to English.
+const STRINGS = {
+  en: {
+    nearestStation: "Nearest BART Station",
+    pinnedStation: "Pinned BART Station",
+    nearestAgencyStop: (agency) => `Nearest ${agency} Stop`,
+    pinnedAgencyStop: (agency) => `Pinned ${agency} Stop`,
+    leaving: "Leaving",
+    cancelled: "Cancelled",
+    delayBadge: (minutes) => `+${minutes}`,
+    delayedBy: (minutes) => `${minutes} min late`,
+    platform: (platform) => `Platform ${platform}`,
+    platformUnknown: "Platform not announced",
+    now: "Now",
+    minutes: (minutes) => `${minutes} min`,
+    minuteUnit: "min",
+    nextTrainTime: (minutes, time) => `${minutes} min (${time})`,
+    noTrains: "No trains at this time",
+    noDepartures: "No departures at this time",
+    noTrainsShort: "No trains",
+    usingLastLocation: "Using last known location",
+    lastUpdated: (time) => `Last Updated ${time}`,
+    offline: (minutes) => `Offline · times from ${minutes} min ago`,
+    elevatorOut: "Elevator out of service",
+    elevatorsInService: "Elevators in service",
+    allElevatorsInService: "All elevators in service",
+    elevatorStatusUnavailable: "Elevator status unavailable",
+    tooSoon: "Too soon",
+    leaveNow: "Leave now",
+    leaveIn: (minutes) => `Leave in ${minutes} min`,
+    direct: "Direct",
+    transferAt: (station, wait) => `Transfer at ${station} (${wait} min wait)`,
+    via: (destination, transfer) => `${destination} via ${transfer}`,
+    withTransfer: (destination, transfer) => `${destination} (transfer at ${transfer})`,
+    cars: (count) => `${count} car`,
+    line: (name) => `${name} Line`,
+    lineNames: {},
+    directions: {},
+    distanceMiles: (distance) => `${distance} mi`,
+    distanceKm: (distance) => `${distance} km`,
+    walk: (minutes) => `${minutes} min walk`,
+    scheduled: "Scheduled",
+    scheduledAt: (time) => `Scheduled ${time}`,
+    scheduledShort: "sched",
+    lastTrainAt: (time, minutes) => `Last train at ${time} · in ${minutes} min`,
+    noMoreService: "No more service tonight",
+    meetingLeaveBy: (time, title) => `Leave by ${time} for ${title}`,
+    meetingTrip: (departure, station, arrival) => `${departure} train to ${station}, arriving ${arrival}`,
+    meetingWalk: (minutes) => `${minutes} min walk to the event`,
+    meetingNoTrain: (title) => `No train gets you to ${title} on time`,
+    tripsTo: (target) => `Trips to ${target}`,
+    noTrips: "No trips",
+    noReachableTrips: "No reachable trips at this time",
+    reminderTitle: "Time to leave for BART",
+    reminderBody: (time, destination, station) =>
+      `Leave now for the ${time} ${destination} train at ${station}`,
+    reminderCancelledTitle: "BART train cancelled",
+    reminderCancelledBody: (time, destination, station) =>
+      `The ${time} ${destination} train at ${station} is cancelled. No need to leave for it.`,
+    tooLate: "Too Late",
+    tooLateMessage: (station, time, destination) =>
+      `You can't reach ${station} before the ${time} ${destination} train leaves.`,
+    ok: "OK",
+    remindMeTitle: "Remind Me to Leave",
+    remindMeMessage: (minutes, time, destination) =>
+      `Get a notification ${minutes} min before the ${time} ${destination} train leaves.`,
+    remindMe: "Remind Me",
+    cancel: "Cancel",
+    reminderSet: "Reminder Set",
+    reminderSetMessage: (time) => `We'll remind you to leave at ${time}.`,
+    trainReminders: "Train Reminders",
+    trainRemindersRow: (count) => `🔔 Train Reminders (${count})`,
+    noReminders: "No pending reminders. Tap a train to add one.",
+    tapToCancel: "Tap a reminder to cancel it.",
+    reminderAction: (time, destination, station) => `${time} ${destination} from ${station}`,
+    cancelAll: "Cancel All",
+    done: "Done",
+    nearbyStations: "Nearby Stations",
+    searchAllStations: "🔍 Search All Stations",
+    clearPinnedStation: "Clear Pinned Station",
+    commuteRow: (name) => `🧭 Commute: ${name}`,
+    commuteNone: "Nearest station",
+    commuteAutomatic: "Chosen automatically · tap to change",
+    commuteOverridden: "Set until the end of the day · tap to change",
+    commuteTitle: "Commute Profile",
+    commuteMessage: "Your choice lasts until the end of the day.",
+    commuteAuto: "Automatic",
+    reliabilityRow: "📊 Train Reliability",
+    reliabilityTitle: (station) => `Reliability at ${station}`,
+    reliabilityTrain: (time, destination) => `${time} to ${destination}`,
+    reliabilityLate: (late, days) => `Late ${late} of ${days} days`,
+    reliabilityDetails: (delay, jumps) =>
+      `Average delay ${delay} min · estimate jumped on ${jumps} ${jumps === 1 ? "day" : "days"}`,
+    reliabilityEmpty: (days) => `Not enough history yet. Trains show up here once seen on ${days} days.`,
+    searchTitle: "Search Stations",
+    searchMessage: "Enter a station name or abbreviation, or leave empty to see all stations.",
+    searchPlaceholder: "e.g. MacArthur or MCAR",
+    search: "Search",
+    stationsMatching: (query) => `Stations matching "${query}"`,
+    allStations: "All Stations",
+    back: "← Back",
+    backToBoard: "← All Trains",
+    advisoriesTitle: "Service Advisories",
+    noAdvisories: "No service advisories or elevator outages",
+    noMatchingStations: "No matching stations",
+    fareTo: (station) => `Fare to ${station}`,
+    fareTypes: {
+      clipper: "Clipper",
+      clipperStart: "Clipper START",
+      ticket: "Ticket",
+      seniorDisabled: "Senior/Disabled",
+      youth: "Youth",
+    },
+    sfoSurcharge: "Includes the SFO surcharge",
+    checkFare: "💵 Check a Fare",
+    changeFareDestination: "Tap to check another station",
+    fareUnavailable: "Fare unavailable",
+    errors: {
+      invalidKey: {
+        title: "Invalid API Key",
+        hint: "BART didn't accept the API key. Check the key in the widget's parameter.",
+      },
+      network: {
+        title: "No Connection",
+        hint: "BART can't be reached. Please check your internet connection.",
+      },
+      server: {
+        title: "BART Is Having Trouble",
+        hint: "BART's servers aren't responding right now. It should clear up soon.",
+      },
+      rateLimited: {
+        title: "Too Many Requests",
+        hint: "BART is limiting requests. Try a longer refresh interval.",
+      },
+      noService: {
+        title: "No Trains Running",
+        hint: "BART isn't running trains from this station right now.",
+      },
+      invalidPayload: {
+        title: "Unexpected Response",
+        hint: "BART sent departures the widget couldn't read.",
+      },
+      locationDenied: {
+        title: "Waiting for location",
+        hint: "Please make sure location services are enabled for Scriptable.",
+      },
+      agencyFeed: {
+        title: "Departures Unavailable",
+        hint: "The agency's real-time departures can't be loaded. Check the transitkey and feeds settings.",
+      },
+      unknown: {
+        title: "BART API Error",
+        hint: "Please check your API key and internet connection.",
+      },
+    },
+    retryIn: (minutes) => `Trying again in ${minutes} min`,
+    tryAgain: "Try Again",
+    spokenNextTrain: (destination, station, leaves, then) =>
+      `Next ${destination} train from ${station} ${leaves}${then}.`,
+    spokenLaterTrain: (destination, leaves, then) =>
+      `The next ${destination} train ${leaves}${then}.`,
+    spokenLeavesNow: "leaves now",
+    spokenLeavesIn: (minutes) => `leaves in ${minutes} ${minutes === 1 ? "minute" : "minutes"}`,
+    spokenThen: (time) => `, then ${time}`,
+    spokenStale: (minutes) => `These times are from ${minutes} minutes ago.`,
+    spokenScheduled: (time) => `is scheduled to leave at ${time}`,
+    spokenLastTrain: (time) => `The last train tonight leaves at ${time}.`,
+    spokenNoMoreService: "There is no more service tonight.",
+    spokenNoTrains: (station) => `There are no trains from ${station} at this time.`,
+    spokenNextTrip: (target, station, departure, arrival) =>
+      `The next trip to ${target} leaves ${station} at ${departure} and arrives at ${arrival}.`,
+    spokenNoTrips: (target, station) =>
+      `There are no trips to ${target} you can make from ${station} right now.`,
+  },
+  es: {
+    nearestStation: "Estación de BART más cercana",
+    pinnedStation: "Estación de BART fijada",
+    nearestAgencyStop: (agency) => `Parada de ${agency} más cercana`,
+    pinnedAgencyStop: (agency) => `Parada de ${agency} fijada`,
+    leaving: "Saliendo",
+    cancelled: "Cancelado",
+    delayedBy: (minutes) => `${minutes} min de retraso`,
+    platform: (platform) => `Andén ${platform}`,
+    platformUnknown: "Andén sin anunciar",
+    now: "Ya",
+    nextTrainTime: (minutes, time) => `${minutes} min (${time})`,
+    noTrains: "No hay trenes en este momento",
+    noDepartures: "No hay salidas en este momento",
+    noTrainsShort: "Sin trenes",
+    usingLastLocation: "Usando la última ubicación conocida",
+    lastUpdated: (time) => `Actualizado ${time}`,
+    offline: (minutes) => `Sin conexión · horarios de hace ${minutes} min`,
+    elevatorOut: "Ascensor fuera de servicio",
+    elevatorsInService: "Ascensores en servicio",
+    allElevatorsInService: "Todos los ascensores en servicio",
+    elevatorStatusUnavailable: "Estado de los ascensores no disponible",
+    tooSoon: "Muy pronto",
+    leaveNow: "Sal ahora",
+    leaveIn: (minutes) => `Sal en ${minutes} min`,
+    direct: "Directo",
+    transferAt: (station, wait) => `Transbordo en ${station} (${wait} min de espera)`,
+    via: (destination, transfer) => `${destination} vía ${transfer}`,
+    withTransfer: (destination, transfer) => `${destination} (transbordo en ${transfer})`,
+    cars: (count) => `${count} vagones`,
+    line: (name) => `Línea ${name}`,
+    lineNames: { Red: "Roja", Yellow: "Amarilla", Orange: "Naranja", Green: "Verde", Blue: "Azul" },
+    directions: { North: "Norte", South: "Sur" },
+    walk: (minutes) => `${minutes} min a pie`,
+    scheduled: "Programado",
+    scheduledAt: (time) => `Programado ${time}`,
+    scheduledShort: "prog.",
+    lastTrainAt: (time, minutes) => `Último tren a las ${time} · en ${minutes} min`,
+    noMoreService: "No hay más servicio esta noche",
+    meetingLeaveBy: (time, title) => `Sal a las ${time} para ${title}`,
+    meetingTrip: (departure, station, arrival) => `Tren de las ${departure} a ${station}, llega a las ${arrival}`,
+    meetingWalk: (minutes) => `${minutes} min a pie hasta el evento`,
+    meetingNoTrain: (title) => `Ningún tren llega a tiempo para ${title}`,
+    tripsTo: (target) => `Viajes a ${target}`,
+    noTrips: "Sin viajes",
+    noReachableTrips: "No hay viajes posibles en este momento",
+    reminderTitle: "Hora de salir hacia BART",
+    reminderBody: (time, destination, station) =>
+      `Sal ahora para el tren de las ${time} a ${destination} en ${station}`,
+    reminderCancelledTitle: "Tren de BART cancelado",
+    reminderCancelledBody: (time, destination, station) =>
+      `El tren de las ${time} a ${destination} en ${station} está cancelado. No hace falta salir para tomarlo.`,
+    tooLate: "Demasiado tarde",
+    tooLateMessage: (station, time, destination) =>
+      `No puedes llegar a ${station} antes de que salga el tren de las ${time} a ${destination}.`,
+    remindMeTitle: "Recordarme salir",
+    remindMeMessage: (minutes, time, destination) =>
+      `Recibe una notificación ${minutes} min antes de que salga el tren de las ${time} a ${destination}.`,
+    remindMe: "Recordarme",
+    cancel: "Cancelar",
+    reminderSet: "Recordatorio creado",
+    reminderSetMessage: (time) => `Te recordaremos salir a las ${time}.`,
+    trainReminders: "Recordatorios de trenes",
+    trainRemindersRow: (count) => `🔔 Recordatorios de trenes (${count})`,
+    noReminders: "No hay recordatorios pendientes. Toca un tren para añadir uno.",
+    tapToCancel: "Toca un recordatorio para cancelarlo.",
+    reminderAction: (time, destination, station) => `${time} ${destination} desde ${station}`,
+    cancelAll: "Cancelar todos",
+    done: "Listo",
+    nearbyStations: "Estaciones cercanas",
+    searchAllStations: "🔍 Buscar todas las estaciones",
+    clearPinnedStation: "Quitar estación fijada",
+    commuteRow: (name) => `🧭 Trayecto: ${name}`,
+    commuteNone: "Estación más cercana",
+    commuteAutomatic: "Elegido automáticamente · toca para cambiar",
+    commuteOverridden: "Fijado hasta el final del día · toca para cambiar",
+    commuteTitle: "Perfil de trayecto",
+    commuteMessage: "Tu elección dura hasta el final del día.",
+    commuteAuto: "Automático",
+    reliabilityRow: "📊 Puntualidad de los trenes",
+    reliabilityTitle: (station) => `Puntualidad en ${station}`,
+    reliabilityTrain: (time, destination) => `${time} a ${destination}`,
+    reliabilityLate: (late, days) => `Con retraso ${late} de ${days} días`,
+    reliabilityDetails: (delay, jumps) =>
+      `Retraso medio ${delay} min · la estimación saltó ${jumps} ${jumps === 1 ? "día" : "días"}`,
+    reliabilityEmpty: (days) => `Aún no hay suficiente historial. Los trenes aparecen aquí tras verse ${days} días.`,
+    searchTitle: "Buscar estaciones",
+    searchMessage: "Escribe el nombre o la abreviatura de una estación, o déjalo vacío para ver todas.",
+    searchPlaceholder: "p. ej. MacArthur o MCAR",
+    search: "Buscar",
+    stationsMatching: (query) => `Estaciones que coinciden con "${query}"`,
+    allStations: "Todas las estaciones",
+    back: "← Atrás",
+    backToBoard: "← Todos los trenes",
+    advisoriesTitle: "Avisos de servicio",
+    noAdvisories: "No hay avisos de servicio ni ascensores fuera de servicio",
+    noMatchingStations: "No hay estaciones que coincidan",
+    fareTo: (station) => `Tarifa a ${station}`,
+    fareTypes: {
+      clipper: "Clipper",
+      clipperStart: "Clipper START",
+      ticket: "Boleto",
+      seniorDisabled: "Mayores/Discapacidad",
+      youth: "Jóvenes",
+    },
+    sfoSurcharge: "Incluye el recargo de SFO",
+    checkFare: "💵 Consultar una tarifa",
+    changeFareDestination: "Toca para consultar otra estación",
+    fareUnavailable: "Tarifa no disponible",
+    errors: {
+      invalidKey: {
+        title: "Clave de API no válida",
+        hint: "BART no aceptó la clave de API. Revisa la clave en el parámetro del widget.",
+      },
+      network: {
+        title: "Sin conexión",
+        hint: "No se puede conectar con BART. Revisa tu conexión a internet.",
+      },
+      server: {
+        title: "BART tiene problemas",
+        hint: "Los servidores de BART no responden ahora. Debería resolverse pronto.",
+      },
+      rateLimited: {
+        title: "Demasiadas solicitudes",
+        hint: "BART está limitando las solicitudes. Prueba un intervalo de actualización más largo.",
+      },
+      noService: {
+        title: "No hay trenes en servicio",
+        hint: "BART no tiene trenes saliendo de esta estación ahora.",
+      },
+      invalidPayload: {
+        title: "Respuesta inesperada",
+        hint: "BART envió salidas que el widget no pudo leer.",
+      },
+      locationDenied: {
+        title: "Esperando la ubicación",
+        hint: "Asegúrate de que los servicios de ubicación estén activados para Scriptable.",
+      },
+      agencyFeed: {
+        title: "Salidas no disponibles",
+        hint: "No se pueden cargar las salidas en tiempo real de la agencia. Revisa los ajustes transitkey y feeds.",
+      },
+      unknown: {
+        title: "Error de la API de BART",
+        hint: "Revisa tu clave de API y tu conexión a internet.",
+      },
+    },
+    retryIn: (minutes) => `Se volverá a intentar en ${minutes} min`,
+    tryAgain: "Reintentar",
+    spokenNextTrain: (destination, station, leaves, then) =>
+      `El próximo tren a ${destination} desde ${station} ${leaves}${then}.`,
+    spokenLaterTrain: (destination, leaves, then) =>
+      `El siguiente tren a ${destination} ${leaves}${then}.`,
+    spokenLeavesNow: "sale ahora",
+    spokenLeavesIn: (minutes) => `sale en ${minutes} ${minutes === 1 ? "minuto" : "minutos"}`,
+    spokenThen: (time) => `, y luego a las ${time}`,
+    spokenStale: (minutes) => `Estos horarios son de hace ${minutes} minutos.`,
+    spokenScheduled: (time) => `tiene salida programada a las ${time}`,
+    spokenLastTrain: (time) => `El último tren de la noche sale a las ${time}.`,
+    spokenNoMoreService: "No hay más servicio esta noche.",
+    spokenNoTrains: (station) => `No hay trenes desde ${station} en este momento.`,
+    spokenNextTrip: (target, station, departure, arrival) =>
+      `El próximo viaje a ${target} sale de ${station} a las ${departure} y llega a las ${arrival}.`,
+    spokenNoTrips: (target, station) =>
+      `No hay viajes a ${target} que puedas tomar desde ${station} ahora.`,
+  },
+  zh: {
+    nearestStation: "最近的 BART 車站",
+    pinnedStation: "已釘選的 BART 車站",
+    nearestAgencyStop: (agency) => `最近的 ${agency} 站`,
+    pinnedAgencyStop: (agency) => `已釘選的 ${agency} 站`,
+    leaving: "即將開出",
+    cancelled: "已取消",
+    delayedBy: (minutes) => `誤點 ${minutes} 分鐘`,
+    platform: (platform) => `${platform} 號月台`,
+    platformUnknown: "月台未公布",
+    now: "現在",
+    minutes: (minutes) => `${minutes} 分`,
+    minuteUnit: "分",
+    nextTrainTime: (minutes, time) => `${minutes} 分 (${time})`,
+    noTrains: "目前沒有列車",
+    noDepartures: "目前沒有班次",
+    noTrainsShort: "沒有列車",
+    usingLastLocation: "使用上次已知的位置",
+    lastUpdated: (time) => `更新於 ${time}`,
+    offline: (minutes) => `離線 · ${minutes} 分鐘前的時刻`,
+    elevatorOut: "電梯暫停服務",
+    elevatorsInService: "電梯正常運作",
+    allElevatorsInService: "所有電梯正常運作",
+    elevatorStatusUnavailable: "無法取得電梯狀態",
+    tooSoon: "來不及",
+    leaveNow: "現在出發",
+    leaveIn: (minutes) => `${minutes} 分鐘後出發`,
+    direct: "直達",
+    transferAt: (station, wait) => `在 ${station} 轉車（等候 ${wait} 分鐘）`,
+    via: (destination, transfer) => `${destination}（經 ${transfer}）`,
+    withTransfer: (destination, transfer) => `${destination}（在 ${transfer} 轉車）`,
+    cars: (count) => `${count} 節車廂`,
+    line: (name) => `${name}線`,
+    lineNames: { Red: "紅", Yellow: "黃", Orange: "橙", Green: "綠", Blue: "藍" },
+    directions: { North: "北行", South: "南行" },
+    distanceMiles: (distance) => `${distance} 英里`,
+    distanceKm: (distance) => `${distance} 公里`,
+    walk: (minutes) => `步行 ${minutes} 分鐘`,
+    scheduled: "表定",
+    scheduledAt: (time) => `表定 ${time}`,
+    scheduledShort: "表定",
+    lastTrainAt: (time, minutes) => `末班車 ${time} · ${minutes} 分鐘後`,
+    noMoreService: "今晚已無列車服務",
+    meetingLeaveBy: (time, title) => `${time} 前出發前往 ${title}`,
+    meetingTrip: (departure, station, arrival) => `${departure} 開往 ${station}，${arrival} 抵達`,
+    meetingWalk: (minutes) => `步行 ${minutes} 分鐘到活動地點`,
+    meetingNoTrain: (title) => `沒有列車能準時抵達 ${title}`,
+    tripsTo: (target) => `前往 ${target} 的行程`,
+    noTrips: "沒有行程",
+    noReachableTrips: "目前沒有趕得上的行程",
+    reminderTitle: "該出發去搭 BART 了",
+    reminderBody: (time, destination, station) =>
+      `現在出發，搭乘 ${station} ${time} 開往 ${destination} 的列車`,
+    reminderCancelledTitle: "BART 列車已取消",
+    reminderCancelledBody: (time, destination, station) =>
+      `${station} ${time} 開往 ${destination} 的列車已取消，不必為它出發。`,
+    tooLate: "來不及了",
+    tooLateMessage: (station, time, destination) =>
+      `${time} 開往 ${destination} 的列車開出前，你無法抵達 ${station}。`,
+    ok: "好",
+    remindMeTitle: "提醒我出發",
+    remindMeMessage: (minutes, time, destination) =>
+      `在 ${time} 開往 ${destination} 的列車開出前 ${minutes} 分鐘通知你。`,
+    remindMe: "提醒我",
+    cancel: "取消",
+    reminderSet: "已設定提醒",
+    reminderSetMessage: (time) => `我們會在 ${time} 提醒你出發。`,
+    trainReminders: "列車提醒",
+    trainRemindersRow: (count) => `🔔 列車提醒 (${count})`,
+    noReminders: "沒有待處理的提醒。點一下列車即可新增。",
+    tapToCancel: "點一下提醒即可取消。",
+    reminderAction: (time, destination, station) => `${time} 從 ${station} 開往 ${destination}`,
+    cancelAll: "全部取消",
+    done: "完成",
+    nearbyStations: "附近車站",
+    searchAllStations: "🔍 搜尋所有車站",
+    clearPinnedStation: "取消釘選車站",
+    commuteRow: (name) => `🧭 通勤：${name}`,
+    commuteNone: "最近的車站",
+    commuteAutomatic: "自動選擇 · 點一下以變更",
+    commuteOverridden: "已設定至今天結束 · 點一下以變更",
+    commuteTitle: "通勤設定",
+    commuteMessage: "您的選擇會持續到今天結束。",
+    commuteAuto: "自動",
+    reliabilityRow: "📊 列車準點率",
+    reliabilityTitle: (station) => `${station} 準點率`,
+    reliabilityTrain: (time, destination) => `${time} 開往 ${destination}`,
+    reliabilityLate: (late, days) => `${days} 天中誤點 ${late} 天`,
+    reliabilityDetails: (delay, jumps) => `平均誤點 ${delay} 分鐘 · 預估時間跳動 ${jumps} 天`,
+    reliabilityEmpty: (days) => `紀錄尚不足。列車出現 ${days} 天後會顯示在這裡。`,
+    searchTitle: "搜尋車站",
+    searchMessage: "輸入車站名稱或縮寫，或留空以查看所有車站。",
+    searchPlaceholder: "例如 MacArthur 或 MCAR",
+    search: "搜尋",
+    stationsMatching: (query) => `符合「${query}」的車站`,
+    allStations: "所有車站",
+    back: "← 返回",
+    backToBoard: "← 所有列車",
+    advisoriesTitle: "服務通告",
+    noAdvisories: "目前沒有服務通告或電梯停用",
+    noMatchingStations: "沒有符合的車站",
+    fareTo: (station) => `至 ${station} 車資`,
+    fareTypes: {
+      clipper: "Clipper",
+      clipperStart: "Clipper START",
+      ticket: "車票",
+      seniorDisabled: "長者/殘障",
+      youth: "青少年",
+    },
+    sfoSurcharge: "含 SFO 機場附加費",
+    checkFare: "💵 查詢車資",
+    changeFareDestination: "點選以查詢其他車站",
+    fareUnavailable: "無法取得車資",
+    errors: {
+      invalidKey: {
+        title: "API 金鑰無效",
+        hint: "BART 不接受這個 API 金鑰。請檢查小工具參數中的金鑰。",
+      },
+      network: {
+        title: "沒有網路連線",
+        hint: "無法連線到 BART。請檢查你的網路連線。",
+      },
+      server: {
+        title: "BART 服務異常",
+        hint: "BART 的伺服器目前沒有回應，應該很快就會恢復。",
+      },
+      rateLimited: {
+        title: "請求過多",
+        hint: "BART 正在限制請求。請嘗試較長的更新間隔。",
+      },
+      noService: {
+        title: "目前沒有列車行駛",
+        hint: "BART 目前沒有從這個車站開出的列車。",
+      },
+      invalidPayload: {
+        title: "無法讀取回應",
+        hint: "BART 傳回的發車資訊無法讀取。",
+      },
+      locationDenied: {
+        title: "正在等待位置",
+        hint: "請確認已為 Scriptable 開啟定位服務。",
+      },
+      agencyFeed: {
+        title: "無法取得發車資訊",
+        hint: "無法載入該業者的即時發車資訊。請檢查 transitkey 和 feeds 設定。",
+      },
+      unknown: {
+        title: "BART API 錯誤",
+        hint: "請檢查你的 API 金鑰和網路連線。",
+      },
+    },
+    retryIn: (minutes) => `${minutes} 分鐘後重試`,
+    tryAgain: "重試",
+    spokenNextTrain: (destination, station, leaves, then) =>
+      `從 ${station} 開往 ${destination} 的下一班列車${leaves}${then}。`,
+    spokenLaterTrain: (destination, leaves, then) =>
+      `下一班開往 ${destination} 的列車${leaves}${then}。`,
+    spokenLeavesNow: "現在開出",
+    spokenLeavesIn: (minutes) => `${minutes} 分鐘後開出`,
+    spokenThen: (time) => `，再下一班 ${time}`,
+    spokenStale: (minutes) => `以上是 ${minutes} 分鐘前的時刻。`,
+    spokenScheduled: (time) => `表定 ${time} 開出`,
+    spokenLastTrain: (time) => `今晚末班車 ${time} 開出。`,
+    spokenNoMoreService: "今晚已無列車服務。",
+    spokenNoTrains: (station) => `目前沒有從 ${station} 開出的列車。`,
+    spokenNextTrip: (target, station, departure, arrival) =>
+      `前往 ${target} 的下一個行程 ${departure} 從 ${station} 出發，${arrival} 抵達。`,
+    spokenNoTrips: (target, station) =>
+      `目前從 ${station} 沒有趕得上前往 ${target} 的行程。`,
+  },
+};
+
+const SETTINGS = loadSettings(args.widgetParameter, args.shortcutParameter, args.queryParameters);
+const BART_API_KEY = SETTINGS.apiKey;
+
+// Commute profile in effect for this run, see resolveCommuteProfile
+let activeProfile = null;
+
+// BART API client using Scriptable's Request and Timer
+const bartApi = Core.createBartApi({
+  baseUrl: BART_API_BASE,
+  apiKey: BART_API_KEY,
+  loadJSON: async (url) => {
+    const request = new Request(url);
+    const body = await request.loadString();
+    const status = request.response.statusCode;
+    if (status >= 400) {
+      const error = new Error(`BART API returned HTTP ${status}`);
+      error.status = status;
+      throw error;
+    }
+    return JSON.parse(body);
+  },
+  wait: (milliseconds) =>
+    new Promise((resolve) => Timer.schedule(milliseconds, false, resolve)),
+});
+
+// Symbol and refresh interval for each error type, see Core.ERROR_TYPES
+const ERROR_STATES = {
+  invalidKey: { symbol: "key.fill", retryMinutes: 60 },
+  network: { symbol: "wifi.slash", retryMinutes: 5 },
+  server: { symbol: "exclamationmark.icloud", retryMinutes: 5 },
+  rateLimited: { symbol: "hourglass", retryMinutes: 15 },
+  noService: { symbol: "moon.zzz", retryMinutes: 30 },
+  invalidPayload: { symbol: "exclamationmark.triangle", retryMinutes: 10 },
+  locationDenied: { symbol: "location.slash", retryMinutes: 1 },
+  agencyFeed: { symbol: "tram", retryMinutes: 5 },
+  unknown: { symbol: "exclamationmark.triangle", retryMinutes: 5 },
+};
+
 // Color schemes for light and dark modes
 const ColorScheme = {
   background: Color.dynamic(new Color("#ffffff"), new Color("#1c1c1e")),
@@ -52,639 +798,3580 @@ const ColorScheme = {
   secondaryText: Color.dynamic(new Color("#666666"), new Color("#999999")),
   accentBlue: Color.dynamic(new Color("#007AFF"), new Color("#0A84FF")),
   rowBackground: Color.dynamic(new Color("#f0f0f0"), new Color("#2c2c2e")),
+  warningText: Color.dynamic(new Color("#c93400"), new Color("#ff9f0a")),
+
+  // Line colors for light mode and dark mode, filled in from the API's
+  // hexcolor by registerLineColor
+  lines: {},
+};
+
+// Accessible mode: accent and warning colors with at least 4.5:1 contrast,
+// including on the table's row background
+if (SETTINGS.accessible) {
+  ColorScheme.accentBlue = Color.dynamic(new Color("#0062CC"), new Color("#409CFF"));
+  ColorScheme.warningText = Color.dynamic(new Color("#B32D00"), new Color("#ff9f0a"));
+}
+
+// Line badge letters for accessible mode; other lines use their first two letters
+const LINE_BADGES = {
+  Red: "R",
+  Yellow: "Y",
+  Orange: "O",
+  Green: "G",
+  Blue: "B",
+};
+
+// Parse the widget parameter: a plain API key, JSON, or key=value;... pairs
+function parseWidgetParameter(parameter) {
+  const text = (parameter || "").trim();
+  if (!text) {
+    return {};
+  }
+
+  let raw = {};
+  if (text.startsWith("{")) {
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      console.log('Invalid widget parameter JSON:', error);
+      return {};
+    }
+  } else if (text.includes("=")) {
+    for (const pair of text.split(";")) {
+      const [name, ...value] = pair.split("=");
+      if (name.trim()) {
+        raw[name.trim()] = value.join("=").trim();
+      }
+    }
+  } else {
+    // Plain API key
+    raw = { key: text };
+  }
+
+  const parsed = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const setting = PARAMETER_ALIASES[name.toLowerCase()];
+    if (setting) {
+      parsed[setting] = value;
+    } else {
+      console.log(`Ignoring unknown widget parameter: ${name}`);
+    }
+  }
+  return parsed;
+}
+
+// Shortcut input: a dictionary or key=value text like the widget parameter,
+// or plain text naming a station (e.g. "MCAR" or "MacArthur")
+function parseShortcutParameter(parameter) {
+  if (parameter && typeof parameter === "object") {
+    return parseWidgetParameter(JSON.stringify(parameter));
+  }
+  const text = String(parameter || "").trim();
+  if (!text) {
+    return {};
+  }
+  if (text.startsWith("{") || text.includes("=")) {
+    return parseWidgetParameter(text);
+  }
+  return { station: text };
+}
+
+function parseBoolean(value) {
+  return ["1", "true", "yes", "on", "always"].includes(String(value).trim().toLowerCase());
+}
+
+function parsePositiveNumber(value, fallback) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// Resolve settings from the widget parameter and shortcut input, falling back
+// to the defaults above. Shortcut input wins over the widget parameter.
+// queryParameters are those of the widget URL that opened the script.
+function loadSettings(parameter, shortcutParameter, queryParameters) {
+  const parsed = {
+    ...parseWidgetParameter(parameter),
+    ...parseShortcutParameter(shortcutParameter),
+  };
+
+  // API key passed in a widget is stored so other widgets can omit it
+  let apiKey = parsed.apiKey ? String(parsed.apiKey).trim() : null;
+  if (apiKey) {
+    Keychain.set(API_KEY_KEYCHAIN_KEY, apiKey);
+  } else if (Keychain.contains(API_KEY_KEYCHAIN_KEY)) {
+    apiKey = Keychain.get(API_KEY_KEYCHAIN_KEY);
+  }
+
+  // Commute profiles belong to the widget that sets them. The table opened
+  // from a widget gets them through the widget's URL (see getScriptUrl).
+  const profilesParameter = parsed.profiles !== undefined
+    ? parsed.profiles
+    : parseProfilesQuery((queryParameters || {}).profiles);
+
+  const direction = parsed.direction
+    ? String(parsed.direction).toLowerCase()
+    : null;
+  const lines = Array.isArray(parsed.lines)
+    ? parsed.lines
+    : parsed.lines
+      ? String(parsed.lines).split(",")
+      : null;
+
+  return {
+    apiKey: apiKey || "YOUR_API_KEY",
+    station: parsed.station ? String(parsed.station).trim().toUpperCase() : null,
+    direction: direction === "east" || direction === "west" ? direction : null,
+    lines: lines
+      ? lines.map((line) => String(line).trim().toLowerCase()).filter(Boolean)
+      : null,
+    maxTrains: parsed.maxTrains
+      ? Math.round(parsePositiveNumber(parsed.maxTrains, 0)) || null
+      : null,
+    walkingSpeed: parsePositiveNumber(parsed.walkingSpeed, WALKING_SPEED_KMH),
+    refreshMinutes: parsePositiveNumber(parsed.refreshMinutes, REFRESH_INTERVAL_MINUTES),
+    borderMiles: parsePositiveNumber(parsed.borderMiles, SF_BORDER_MILES),
+    destination: parsed.destination ? String(parsed.destination).trim() : null,
+    home: parsed.home ? String(parsed.home).trim().toUpperCase() : null,
+    work: parsed.work ? String(parsed.work).trim().toUpperCase() : null,
+    mode: String(parsed.mode || "").toLowerCase() === "trip" ? "trip" : "departures",
+    elevatorStatus: parseBoolean(parsed.elevatorStatus),
+    stationRadius: parsePositiveNumber(parsed.stationRadius, 0),
+    missedTrains: String(parsed.missedTrains || "").toLowerCase() === "hide" ? "hide" : "dim",
+    reminderBuffer: parsed.reminderBuffer !== undefined
+      ? Math.max(0, Number.parseFloat(parsed.reminderBuffer) || 0)
+      : REMINDER_BUFFER_MINUTES,
+    lastTrainWindow: parsed.lastTrainWindow !== undefined
+      ? Math.max(0, Number.parseFloat(parsed.lastTrainWindow) || 0)
+      : LAST_TRAIN_WINDOW_MINUTES,
+    output: ["text", "json"].includes(String(parsed.output).toLowerCase())
+      ? String(parsed.output).toLowerCase()
+      : null,
+    language: resolveLanguage(parsed.language),
+    timeFormat: ["12", "24"].find((format) => String(parsed.timeFormat).startsWith(format)) || null,
+    units: resolveUnits(parsed.units),
+    accessible: parseBoolean(parsed.accessible),
+    showFare: parseBoolean(parsed.showFare),
+    quietHours: parseTimeWindow(parsed.quietHours),
+    calendar: parsed.calendar ? String(parsed.calendar).trim() : null,
+    lookaheadHours: parsePositiveNumber(parsed.lookaheadHours, MEETING_LOOKAHEAD_HOURS),
+    historyDays: parseBoolean(parsed.historyDays)
+      ? HISTORY_DAYS
+      : Math.round(parsePositiveNumber(parsed.historyDays, 0)),
+    agencies: (Array.isArray(parsed.agencies) ? parsed.agencies : String(parsed.agencies || "").split(","))
+      .map((agency) => String(agency).trim().toLowerCase())
+      .filter((agency) => GTFS_AGENCIES.some((candidate) => candidate.id === agency)),
+    transitKey: parsed.transitKey ? String(parsed.transitKey).trim() : "",
+    feeds: parseFeedUrls(parsed.feeds),
+    profiles: parseCommuteProfiles(profilesParameter),
+    // The profiles as text for widget URLs, JSON when given as JSON
+    profilesParameter: typeof profilesParameter === "string"
+      ? profilesParameter
+      : profilesParameter ? JSON.stringify(profilesParameter) : null,
+  };
+}
+
+// Profiles from a widget URL's query: the parameter's text, or its JSON
+function parseProfilesQuery(value) {
+  if (!value || !value.trim().startsWith("[")) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.log('Invalid profiles in widget URL:', error);
+    return undefined;
+  }
+}
+
+// Real-time feed URLs by agency id, from "caltrain:URL,muni:URL" or a JSON
+// object like { caltrain: URL }
+function parseFeedUrls(value) {
+  const entries = value && typeof value === "object"
+    ? Object.entries(value)
+    : String(value || "").split(",").map((entry) => {
+      const [agency, ...url] = entry.split(":");
+      return [agency, url.join(":")];
+    });
+  const feeds = {};
+  for (const [agency, url] of entries) {
+    const id = String(agency).trim().toLowerCase();
+    if (GTFS_AGENCIES.some((candidate) => candidate.id === id) && String(url).trim()) {
+      feeds[id] = String(url).trim();
+    }
+  }
+  return feeds;
+}
+
+// "23-6" or "22:30-6:15" as minutes of the day, e.g. { start: 1380, end: 360 },
+// or null when unset or unreadable
+function parseTimeWindow(value) {
+  const match = String(value || "").trim().match(/^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+  const start = Number(match[1]) * 60 + Number(match[2] || 0);
+  const end = Number(match[3]) * 60 + Number(match[4] || 0);
+  return start < 1440 && end < 1440 && start !== end ? { start, end } : null;
+}
+
+// Commute profiles from a JSON array of { name, from, to, days, hours } or
+// from text like "Morning,MCAR,EMBR,weekdays,6-10|Evening,EMBR,MCAR,weekdays,16-20".
+// Stations stay as given and are looked up by resolveCommuteProfile.
+function parseCommuteProfiles(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || "")
+      .split("|")
+      .filter((entry) => entry.trim())
+      .map((entry) => {
+        const [name, from, to, days, hours] = entry.split(",");
+        return { name, from, to, days, hours };
+      });
+
+  return entries
+    .map((entry) => ({
+      name: String(entry.name || "").trim(),
+      origin: String(entry.from || entry.origin || "").trim(),
+      destination: String(entry.to || entry.destination || "").trim(),
+      days: parseDays(entry.days),
+      window: parseTimeWindow(entry.hours),
+    }))
+    .filter((profile) => profile.name && profile.origin && profile.destination);
+}
+
+// "weekdays", "weekends", "mon-fri" or "mon/wed/fri" as getDay() numbers,
+// every day when unset or unreadable
+function parseDays(value) {
+  const everyDay = [0, 1, 2, 3, 4, 5, 6];
+  const text = (Array.isArray(value) ? value.join(" ") : String(value || "")).trim().toLowerCase();
+  if (text === "weekdays") {
+    return [1, 2, 3, 4, 5];
+  }
+  if (text === "weekends") {
+    return [0, 6];
+  }
+
+  const days = new Set();
+  for (const part of text.split(/[\s+/]+/).filter(Boolean)) {
+    const [from, to = from] = part.split("-").map((name) => WEEKDAY_NAMES.indexOf(name.slice(0, 3)));
+    if (from === -1 || to === -1) {
+      continue;
+    }
+    // Ranges may wrap, e.g. "fri-mon"
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) {
+        break;
+      }
+    }
+  }
+  return days.size > 0 ? [...days].sort() : everyDay;
+}
+
+// Catalog language from the lang setting or the device, e.g. "zh" for "zh-Hant"
+function resolveLanguage(language) {
+  const code = String(language || Device.language()).toLowerCase().split(/[-_]/)[0];
+  return STRINGS[code] ? code : "en";
+}
+
+// "mi" or "km" from the units setting, otherwise from the device's region
+function resolveUnits(units) {
+  const unit = String(units || "").toLowerCase();
+  if (unit.startsWith("mi")) {
+    return "mi";
+  }
+  if (unit.startsWith("km") || unit === "metric") {
+    return "km";
+  }
+  const region = Device.locale().split(/[-_]/).pop().toUpperCase();
+  return MILES_REGIONS.includes(region) ? "mi" : "km";
+}
+
+// Text for key in the chosen language, e.g. localize("leaveIn", 3)
+function localize(key, ...values) {
+  const strings = STRINGS[SETTINGS.language];
+  const text = key in strings ? strings[key] : STRINGS.en[key];
+  return typeof text === "function" ? text(...values) : text;
+}
+
+// Localized line name, e.g. "Yellow Line" or "Línea Amarilla"
+function formatLineName(color) {
+  const name = color.slice(0, -1); // Remove E/W suffix
+  return localize("line", localize("lineNames")[name] || name);
+}
+
+// Localized train direction from the API, e.g. "South" or "Sur"
+function formatDirection(direction) {
+  return localize("directions")[direction] || direction;
+}
+
+// Clock time in the time setting's format, or the device's format when unset
+function formatTime(date) {
+  if (SETTINGS.timeFormat) {
+    return formatLastUpdated(date, { hour24: SETTINGS.timeFormat === "24" });
+  }
+  const formatter = new DateFormatter();
+  formatter.useNoDateStyle();
+  formatter.useShortTimeStyle();
+  return formatter.string(date);
+}
+
+// Station list, refreshed from the API once the cached copy is older than
+// STATIONS_CACHE_HOURS. Falls back to any cached copy when offline.
+async function loadStationList() {
+  const cached = readCache("stations", STATIONS_CACHE_HOURS * 3600000);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const stations = await bartApi.getStationList();
+    writeCache("stations", stations);
+    return stations;
+  } catch (error) {
+    const stale = readCache("stations", Number.POSITIVE_INFINITY);
+    if (stale) {
+      console.log('Using cached station list:', error);
+      return stale;
+    }
+    throw error;
+  }
+}
+
+// GTFS feed files: http(s) URLs are downloaded, anything else is a path in
+// Scriptable's folder, e.g. "gtfs/caltrain/stops.txt"
+async function loadFeedText(url) {
+  if (/^https?:/i.test(url)) {
+    const request = new Request(url);
+    const body = await request.loadString();
+    checkFeedStatus(request, url);
+    return body;
+  }
+  const fm = FileManager.iCloud();
+  const path = fm.joinPath(fm.documentsDirectory(), url);
+  if (!fm.fileExists(path)) {
+    throw new Error(`${url} not found in Scriptable's folder`);
+  }
+  await fm.downloadFileFromiCloud(path);
+  return fm.readString(path);
+}
+
+async function loadFeedBytes(url) {
+  if (/^https?:/i.test(url)) {
+    const request = new Request(url);
+    const data = await request.load();
+    checkFeedStatus(request, url);
+    return data.getBytes();
+  }
+  const fm = FileManager.iCloud();
+  const path = fm.joinPath(fm.documentsDirectory(), url);
+  if (!fm.fileExists(path)) {
+    throw new Error(`${url} not found in Scriptable's folder`);
+  }
+  await fm.downloadFileFromiCloud(path);
+  return fm.read(path).getBytes();
+}
+
+function checkFeedStatus(request, url) {
+  const status = request.response.statusCode;
+  if (status >= 400) {
+    throw new Error(`${url.split("?")[0]} returned HTTP ${status}`);
+  }
+}
+
+// Agencies from GTFS_AGENCIES enabled with the agencies setting
+function getEnabledAgencies() {
+  return GTFS_AGENCIES.filter((agency) => SETTINGS.agencies.includes(agency.id));
+}
+
+// Agency a station belongs to: BART_AGENCY, or its GTFS_AGENCIES entry
+function getStationAgency(station) {
+  return GTFS_AGENCIES.find((agency) => agency.id === station.agency) || BART_AGENCY;
+}
+
+function getAgencyFeed(agency) {
+  return Gtfs.createGtfsFeed({
+    agencyId: agency.id,
+    staticUrl: agency.staticUrl,
+    realtimeUrl: (SETTINGS.feeds[agency.id] || agency.realtimeUrl)
+      .replace("{key}", encodeURIComponent(SETTINGS.transitKey)),
+    loadText: loadFeedText,
+    loadBytes: loadFeedBytes,
+  });
+}
+
+// An agency's stations, stop names and routes from its static GTFS feed,
+// cached like the BART station list
+async function loadAgencyStatic(agency) {
+  const cacheName = `gtfs-${agency.id}`;
+  const cached = readCache(cacheName, STATIONS_CACHE_HOURS * 3600000);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const gtfs = await getAgencyFeed(agency).getStatic();
+    writeCache(cacheName, gtfs);
+    return gtfs;
+  } catch (error) {
+    const stale = readCache(cacheName, Number.POSITIVE_INFINITY);
+    if (stale) {
+      console.log(`Using cached ${agency.name} stops:`, error);
+      return stale;
+    }
+    throw error;
+  }
+}
+
+// An agency's trip updates, reused for TRIP_UPDATES_CACHE_MINUTES since the
+// whole feed is downloaded for every stop
+async function loadTripUpdates(agency) {
+  const cacheName = `trips-${agency.id}`;
+  const cached = readCache(cacheName, TRIP_UPDATES_CACHE_MINUTES * 60000);
+  if (cached) {
+    return cached;
+  }
+
+  let tripUpdates;
+  try {
+    tripUpdates = await getAgencyFeed(agency).getTripUpdates();
+  } catch (error) {
+    throw new Core.BartError(Core.ERROR_TYPES.AGENCY_FEED, `${agency.name} departures unavailable`, { cause: error });
+  }
+  writeCache(cacheName, tripUpdates);
+  return tripUpdates;
+}
+
+// Real-time departures from another agency's station by route and direction.
+// staleMinutes is always null: cached trip updates are only a few minutes old.
+async function loadAgencyDepartures(station) {
+  const agency = getStationAgency(station);
+  const gtfs = await loadAgencyStatic(agency);
+  const tripUpdates = await loadTripUpdates(agency);
+  return {
+    departures: Gtfs.formatGtfsDepartures(station, tripUpdates, gtfs, new Date(), formatTime),
+    staleMinutes: null,
+  };
+}
+
+// Transit providers: BART, plus one for each enabled GTFS agency. Each has its
+// agency's { id, name, color }, getStations() in the shape of BART's station
+// list and getDepartures(station, location) resolving to
+// { departures, staleMinutes } with departures grouped by line.
+function getTransitProviders() {
+  return [
+    { agency: BART_AGENCY, getStations: loadStationList, getDepartures: loadDepartures },
+    ...getEnabledAgencies().map((agency) => ({
+      agency,
+      getStations: async () => (await loadAgencyStatic(agency)).stations,
+      getDepartures: loadAgencyDepartures,
+    })),
+  ];
+}
+
+// Stations from every provider. Another agency's feed failing leaves its
+// stops out rather than failing BART too.
+async function loadAllStations() {
+  const [bart, ...others] = getTransitProviders();
+  const stations = [...await bart.getStations()];
+  for (const provider of others) {
+    try {
+      stations.push(...await provider.getStations());
+    } catch (error) {
+      console.log(`Skipping ${provider.agency.name} stops:`, error);
+    }
+  }
+  return stations;
+}
+
+// Nearest stop of each provider other than the one shown, BART included when
+// a pinned stop of another agency is shown, within AGENCY_STOP_RADIUS_KM of
+// location, with its departures, e.g.
+// [{ agency, closest: { station, distance }, departures }]
+async function loadAgencySections(location, shownStation) {
+  const shownAgency = getStationAgency(shownStation);
+  const sections = [];
+  for (const provider of getTransitProviders()) {
+    if (provider.agency === shownAgency) {
+      continue;
+    }
+    try {
+      const [closest] = Core.findClosestStation(await provider.getStations(), location);
+      if (closest && closest.distance <= AGENCY_STOP_RADIUS_KM) {
+        const { departures } = await provider.getDepartures(closest.station, location);
+        sections.push({
+          agency: provider.agency,
+          closest,
+          departures: classifyDepartures(nameRoutes(departures), getMinutesToStation(closest.distance)),
+        });
+      }
+    } catch (error) {
+      console.log(`Skipping ${provider.agency.name} departures:`, error);
+    }
+  }
+  return sections;
+}
+
+// Sections show departures by route name; BART's lines get theirs from the
+// line key, e.g. "Yellow Line"
+function nameRoutes(departures) {
+  return Object.fromEntries(
+    Object.entries(departures).map(([lineKey, trains]) => [
+      lineKey,
+      trains.map((train) => (train.route ? train : { ...train, route: formatLineName(lineKey) })),
+    ])
+  );
+}
+
+// The count nearest BART stations, with the pinned station from the widget
+// parameter or the table's station switcher first, otherwise the active
+// commute profile's origin
+async function findClosestStation(currentLocation, count = 1) {
+  const stations = await loadAllStations();
+  const pinned = SETTINGS.station ? findStationByQuery(stations, SETTINGS.station) : null;
+  return rankStations(
+    stations,
+    currentLocation,
+    count,
+    pinned ? pinned.abbr : SETTINGS.station || getPinnedStation() || (activeProfile && activeProfile.origin)
+  );
+}
+
+// The count nearest BART stations to location with the pinned station, of any
+// agency, first. Other agencies have a stop nearly everywhere, so theirs only
+// lead the board when pinned; otherwise they show as sections below BART.
+function rankStations(stations, location, count, pinned) {
+  return Core.findClosestStation(
+    stations.filter((station) => getStationAgency(station) === BART_AGENCY || station.abbr === pinned),
+    location,
+    { count, pinned }
+  );
+}
+
+// Commute profile for this location and time with its stations as
+// abbreviations, or null for the location-based behavior. A profile picked in
+// the table wins until the end of the service day.
+async function resolveCommuteProfile(location) {
+  if (SETTINGS.profiles.length === 0) {
+    return null;
+  }
+
+  const stations = await loadAllStations();
+  const places = { home: SETTINGS.home, work: SETTINGS.work };
+  const findAbbr = (query) => {
+    const station = findStationByQuery(stations, places[query.toLowerCase()] || query);
+    return station ? station.abbr : query.toUpperCase();
+  };
+  const profiles = SETTINGS.profiles.map((profile) => ({
+    ...profile,
+    origin: findAbbr(profile.origin),
+    destination: findAbbr(profile.destination),
+  }));
+
+  const override = getProfileOverride();
+  if (override) {
+    const picked = profiles.find((profile) => profile.name === override.name);
+    if (picked || override.name === null) {
+      return picked || null;
+    }
+  }
+  return Core.selectCommuteProfile(profiles, stations, location);
+}
+
+// Station by abbreviation, then by exact or partial name, ignoring case
+function findStationByQuery(stations, query) {
+  const normalized = query.trim().toLowerCase();
+  return (
+    stations.find((station) => station.abbr.toLowerCase() === normalized) ||
+    stations.find((station) => station.name.toLowerCase() === normalized) ||
+    stations.find((station) => station.name.toLowerCase().includes(normalized)) ||
+    null
+  );
+}
+
+// Departures by line key, registering each line's API color in ColorScheme.lines
+function formatDepartures(etd) {
+  const departures = Core.formatDepartures(etd, new Date(), formatTime);
+  for (const [lineColor, trains] of Object.entries(departures)) {
+    registerLineColor(lineColor, trains[0].hexcolor);
+  }
+  return departures;
+}
+
+function registerLineColor(lineColor, hexcolor) {
+  if (ColorScheme.lines[lineColor] || !/^#[0-9a-f]{6}$/i.test(hexcolor || "")) {
+    return;
+  }
+  // Westbound trains use a softer shade of the line color, except in
+  // accessible mode where the badge's arrow tells directions apart
+  const hex = lineColor.endsWith("E") || SETTINGS.accessible
+    ? hexcolor
+    : Core.tintHexColor(hexcolor, 0.35);
+  ColorScheme.lines[lineColor] = {
+    light: new Color(hex),
+    dark: new Color(hex),
+    badgeText: new Color(Core.getContrastingTextColor(hex)),
+  };
+}
+
+function filterRoutesByDirection(departures, latitude, longitude) {
+  return Core.filterRoutesByDirection(departures, latitude, longitude, SETTINGS);
+}
+
+function filterRoutesByDestination(departures, origin, target, routes) {
+  return Core.filterRoutesByDestination(departures, origin, target, routes, SETTINGS);
+}
+
+// Commute profile picked in the table as { name, until }, where a null name
+// means no profile, or null once it has expired
+function getProfileOverride() {
+  if (!Keychain.contains(PROFILE_OVERRIDE_KEYCHAIN_KEY)) {
+    return null;
+  }
+  let override;
+  try {
+    override = JSON.parse(Keychain.get(PROFILE_OVERRIDE_KEYCHAIN_KEY));
+  } catch (error) {
+    console.log('Invalid commute profile override:', error);
+    override = { until: 0 };
+  }
+  if (!override || !(override.until > Date.now())) {
+    Keychain.remove(PROFILE_OVERRIDE_KEYCHAIN_KEY);
+    return null;
+  }
+  return override;
+}
+
+// Override the commute profile until the service day ends, or go back to
+// picking it automatically with undefined
+function setProfileOverride(name) {
+  if (name === undefined) {
+    if (Keychain.contains(PROFILE_OVERRIDE_KEYCHAIN_KEY)) {
+      Keychain.remove(PROFILE_OVERRIDE_KEYCHAIN_KEY);
+    }
+    return;
+  }
+  const now = new Date();
+  const until = new Date(now.getFullYear(), now.getMonth(), now.getDate(), SERVICE_DAY_START_HOUR);
+  if (until <= now) {
+    until.setDate(until.getDate() + 1);
+  }
+  Keychain.set(PROFILE_OVERRIDE_KEYCHAIN_KEY, JSON.stringify({ name, until: until.getTime() }));
+}
+
+// Station picked in the table's station switcher
+function getPinnedStation() {
+  if (Keychain.contains(PINNED_STATION_KEYCHAIN_KEY)) {
+    return Keychain.get(PINNED_STATION_KEYCHAIN_KEY);
+  }
+  return null;
+}
+
+function setPinnedStation(abbr) {
+  if (abbr) {
+    Keychain.set(PINNED_STATION_KEYCHAIN_KEY, abbr);
+  } else if (Keychain.contains(PINNED_STATION_KEYCHAIN_KEY)) {
+    Keychain.remove(PINNED_STATION_KEYCHAIN_KEY);
+  }
+}
+
+// Fare destination picked in the table, otherwise the target station
+function getFareDestination(origin) {
+  const picked = Keychain.contains(FARE_DESTINATION_KEYCHAIN_KEY)
+    ? Keychain.get(FARE_DESTINATION_KEYCHAIN_KEY)
+    : null;
+  return picked && picked !== origin ? picked : getTargetStation(origin);
+}
+
+function setFareDestination(abbr) {
+  Keychain.set(FARE_DESTINATION_KEYCHAIN_KEY, abbr);
+}
+
+// Read cached data written by writeCache, or null when missing or older than maxAgeMs
+function readCache(name, maxAgeMs) {
+  const cached = readCacheEntry(name, maxAgeMs);
+  return cached ? cached.data : null;
+}
+
+// Cached { timestamp, data } entry, or null when missing or older than maxAgeMs
+function readCacheEntry(name, maxAgeMs) {
+  try {
+    const fm = FileManager.local();
+    const path = getCachePath(name);
+    if (!fm.fileExists(path)) {
+      return null;
+    }
+    const cached = JSON.parse(fm.readString(path));
+    if (Date.now() - cached.timestamp > maxAgeMs) {
+      return null;
+    }
+    return cached;
+  } catch (error) {
+    console.log(`Error reading ${name} cache:`, error);
+    return null;
+  }
+}
+
+function writeCache(name, data) {
+  try {
+    const fm = FileManager.local();
+    fm.writeString(
+      getCachePath(name),
+      JSON.stringify({ timestamp: Date.now(), data })
+    );
+  } catch (error) {
+    console.log(`Error writing ${name} cache:`, error);
+  }
+}
+
+function getCachePath(name) {
+  const fm = FileManager.local();
+  const directory = fm.joinPath(fm.cacheDirectory(), CACHE_DIRECTORY);
+  if (!fm.fileExists(directory)) {
+    fm.createDirectory(directory, true);
+  }
+  return fm.joinPath(directory, `${name}.json`);
+}
+
+// Departure history lives in the documents folder rather than the cache,
+// which iOS may clear
+function getHistoryPath() {
+  const fm = FileManager.local();
+  const directory = fm.joinPath(fm.documentsDirectory(), CACHE_DIRECTORY);
+  if (!fm.fileExists(directory)) {
+    fm.createDirectory(directory, true);
+  }
+  return fm.joinPath(directory, HISTORY_FILE);
+}
+
+// Recorded departures, see Core.recordDepartureHistory
+function readHistory() {
+  try {
+    const fm = FileManager.local();
+    const path = getHistoryPath();
+    return fm.fileExists(path) ? JSON.parse(fm.readString(path)) : {};
+  } catch (error) {
+    console.log('Error reading departure history:', error);
+    return {};
+  }
+}
+
+// Add fresh estimates for a station to the history, keeping historyDays days
+function recordDepartureHistory(station, etd) {
+  try {
+    const history = Core.recordDepartureHistory(readHistory(), station.abbr, etd, {
+      keepDays: SETTINGS.historyDays,
+      dayStartHour: SERVICE_DAY_START_HOUR,
+    });
+    FileManager.local().writeString(getHistoryPath(), JSON.stringify(history));
+  } catch (error) {
+    console.log('Error recording departure history:', error);
+  }
+}
+
+// Ordered station lists for every route, cached for ROUTES_CACHE_HOURS
+async function loadRoutes() {
+  const cached = readCache("routes", ROUTES_CACHE_HOURS * 3600000);
+  if (cached) {
+    return cached;
+  }
+
+  const routes = await bartApi.getRoutes();
+  writeCache("routes", routes);
+  return routes;
+}
+
+// Station the user is heading to: the destination setting (an abbreviation,
+// "home" or "work"), then the active commute profile's destination, otherwise
+// whichever saved place isn't the origin
+function getTargetStation(origin) {
+  const places = { home: SETTINGS.home, work: SETTINGS.work };
+  if (SETTINGS.destination) {
+    return places[SETTINGS.destination.toLowerCase()] || SETTINGS.destination.toUpperCase();
+  }
+  if (activeProfile) {
+    return activeProfile.destination;
+  }
+  if (SETTINGS.home && SETTINGS.home !== origin) {
+    return SETTINGS.home;
+  }
+  if (SETTINGS.work && SETTINGS.work !== origin) {
+    return SETTINGS.work;
+  }
+  return null;
+}
+
+// Trips from origin to destination that arrive by arriveBy, latest last
+async function getArrivingTrips(origin, destination, arriveBy) {
+  try {
+    const root = await bartApi.request(
+      "sched.aspx",
+      {
+        cmd: "arrive",
+        orig: origin,
+        dest: destination,
+        date: Core.formatBartDate(arriveBy),
+        time: Core.formatBartTime(arriveBy),
+        b: 4,
+        a: 0,
+      },
+      (root) => root.schedule && root.schedule.request && root.schedule.request.trip
+    );
+    return [].concat(root.schedule.request.trip).map(formatTrip);
+  } catch (error) {
+    console.log('Error getting arriving trips:', error);
+    throw error;
+  }
+}
+
+// Upcoming trips from origin to destination, including transfers
+async function getTrips(origin, destination) {
+  try {
+    const root = await bartApi.request(
+      "sched.aspx",
+      { cmd: "depart", orig: origin, dest: destination, date: "now", time: "now", b: 0, a: 4 },
+      (root) => root.schedule && root.schedule.request && root.schedule.request.trip
+    );
+    return [].concat(root.schedule.request.trip).map(formatTrip);
+  } catch (error) {
+    console.log('Error getting trips:', error);
+    throw error;
+  }
+}
+
+function formatTrip(trip) {
+  const legs = [].concat(trip.leg).map((leg) => ({
+    origin: leg["@origin"],
+    destination: leg["@destination"],
+    headStation: leg["@trainHeadStation"],
+    departureTime: parseBartTime(leg["@origTimeDate"], leg["@origTimeMin"]),
+    arrivalTime: parseBartTime(leg["@destTimeDate"], leg["@destTimeMin"]),
+  }));
+
+  // Wait at each transfer between arriving on one leg and leaving on the next
+  const transfers = legs.slice(1).map((leg, index) => ({
+    station: leg.origin,
+    waitMinutes: Math.round((leg.departureTime - legs[index].arrivalTime) / 60000),
+  }));
+
+  const departureTime = parseBartTime(trip["@origTimeDate"], trip["@origTimeMin"]);
+  const arrivalTime = parseBartTime(trip["@destTimeDate"], trip["@destTimeMin"]);
+  return {
+    departureTime,
+    arrivalTime,
+    durationMinutes: Number.parseInt(trip["@tripTime"]) || Math.round((arrivalTime - departureTime) / 60000),
+    legs,
+    transfers,
+  };
+}
+
+// Text of an advisory field, which the API wraps in a CDATA object
+function getAdvisoryText(value) {
+  if (value && typeof value === "object") {
+    return (value["#cdata-section"] || "").trim();
+  }
+  return (value || "").trim();
+}
+
+// Active service advisories, e.g. [{ type: "DELAY", text, smsText }]
+async function getServiceAdvisories() {
+  try {
+    const root = await bartApi.request("bsa.aspx", { cmd: "bsa" }, (root) => root.bsa);
+
+    // "No delays reported" comes back as an advisory without a type
+    return [].concat(root.bsa)
+      .filter((advisory) => advisory.type)
+      .map((advisory) => ({
+        type: advisory.type,
+        text: getAdvisoryText(advisory.description),
+        smsText: getAdvisoryText(advisory.sms_text),
+      }));
+  } catch (error) {
+    console.log('Error getting service advisories:', error);
+    throw error;
+  }
+}
+
+// Elevator outages system-wide, one entry per station, e.g. "19th St. Oakland: Street elevator"
+async function getElevatorOutages() {
+  try {
+    const root = await bartApi.request("bsa.aspx", { cmd: "elev" }, (root) => root.bsa);
+
+    const outages = [];
+    for (const advisory of [].concat(root.bsa)) {
+      const text = getAdvisoryText(advisory.description);
+      const colon = text.indexOf(":");
+      if (/^There are no elevators/i.test(text) || colon === -1) {
+        continue;
+      }
+      for (const outage of text.slice(colon + 1).split(";")) {
+        if (outage.trim()) {
+          outages.push(outage.trim());
+        }
+      }
+    }
+    return outages;
+  } catch (error) {
+    console.log('Error getting elevator outages:', error);
+    throw error;
+  }
+}
+
+// Advisories, and the station's and all elevator outages. Failures fall back
+// to the cached alerts, otherwise no advisories and null outages: the
+// elevators' status is unknown, which mustn't read as all in service.
+async function loadAlerts(station) {
+  let alerts = readCache("alerts", ALERTS_CACHE_MINUTES * 60000);
+  if (!alerts) {
+    try {
+      alerts = {
+        advisories: await getServiceAdvisories(),
+        elevatorOutages: await getElevatorOutages(),
+      };
+      writeCache("alerts", alerts);
+    } catch (error) {
+      console.log('Using cached alerts:', error);
+      alerts = readCache("alerts", ALERTS_STALE_MINUTES * 60000) || {
+        advisories: [],
+        elevatorOutages: null,
+      };
+    }
+  }
+
+  const stationName = station.name.toLowerCase();
+  return {
+    advisories: alerts.advisories,
+    elevatorOutages: alerts.elevatorOutages,
+    stationElevators: alerts.elevatorOutages && alerts.elevatorOutages.filter((outage) =>
+      outage.toLowerCase().startsWith(stationName)
+    ),
+  };
+}
+
+// Helper function to format distance and walking time
+function formatDistanceAndTime(distanceKm) {
+  const distanceMiles = distanceKm * 0.621371; // Convert km to miles
+  const walkingTimeMinutes = getWalkingMinutes(distanceKm);
+  return {
+    distance: SETTINGS.units === "km"
+      ? localize("distanceKm", distanceKm.toFixed(1))
+      : localize("distanceMiles", distanceMiles.toFixed(1)),
+    walkingTime: localize("walk", walkingTimeMinutes)
+  };
+}
+
+function getWalkingMinutes(distanceKm) {
+  return Math.round((distanceKm / SETTINGS.walkingSpeed) * 60);
+}
+
+// Minutes needed to reach the platform, zero within the "already at the station" radius
+function getMinutesToStation(distanceKm) {
+  if (distanceKm * 1000 <= SETTINGS.stationRadius) {
+    return 0;
+  }
+  return getWalkingMinutes(distanceKm);
+}
+
+// Classify each train against the time needed to reach the station:
+// "missed" (too soon to catch), "leaveNow", or "leaveLater" with leaveInMinutes.
+// Missed trains are dropped when the missed setting is "hide".
+function classifyDepartures(departures, minutesToStation) {
+  const classified = {};
+  for (const [color, trains] of Object.entries(departures)) {
+    const catchable = [];
+    for (const train of trains) {
+      const minutes = isLeaving(train) ? 0 : Number.parseInt(train.minutes);
+      const leaveInMinutes = minutes - minutesToStation;
+      let status = "leaveLater";
+      if (leaveInMinutes < 0) {
+        status = "missed";
+      } else if (leaveInMinutes < LEAVE_NOW_MINUTES) {
+        status = "leaveNow";
+      }
+      // Cancelled trains stay listed, marked, but can't be caught
+      if (train.cancelled) {
+        status = "cancelled";
+      }
+
+      if (status !== "missed" || SETTINGS.missedTrains !== "hide") {
+        catchable.push({ ...train, catchStatus: status, leaveInMinutes });
+      }
+    }
+    if (catchable.length > 0) {
+      classified[color] = catchable;
+    }
+  }
+  return classified;
+}
+
+// e.g. "Too soon", "Leave now" or "Leave in 3 min"
+function formatCatchStatus(train) {
+  switch (train.catchStatus) {
+    case "missed":
+      return localize("tooSoon");
+    case "cancelled":
+      return localize("cancelled");
+    case "leaveNow":
+      return localize("leaveNow");
+    case "leaveLater":
+      return localize("leaveIn", train.leaveInMinutes);
+    default:
+      return "";
+  }
+}
+
+function getCatchStatusColor(train) {
+  switch (train.catchStatus) {
+    case "missed":
+      return ColorScheme.secondaryText;
+    case "leaveNow":
+    case "cancelled":
+      return ColorScheme.warningText;
+    default:
+      return ColorScheme.accentBlue;
+  }
+}
+
+// Store and retrieve last known location
+function storeLastLocation(location) {
+  const locationData = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    timestamp: new Date().getTime()
+  };
+  Keychain.set('lastKnownLocation', JSON.stringify(locationData));
+}
+
+function getLastLocation() {
+  try {
+    const locationData = Keychain.get('lastKnownLocation');
+    if (locationData) {
+      return JSON.parse(locationData);
+    }
+  } catch (error) {
+    console.log('Error retrieving last location:', error);
+  }
+  return null;
+}
+
+// Widget families that are rendered on the Lock Screen
+const ACCESSORY_FAMILIES = [
+  "accessoryRectangular",
+  "accessoryInline",
+  "accessoryCircular",
+];
+
+// Trains shown per line for each home screen widget size
+const TRAINS_PER_LINE = {
+  medium: 3,
+  large: 6,
+  extraLarge: 6,
+};
+
+// Widget family the script is rendering for (medium when run in the app)
+function getWidgetFamily() {
+  return config.widgetFamily || "medium";
+}
+
+function isAccessoryFamily(family) {
+  return ACCESSORY_FAMILIES.includes(family);
+}
+
+// Fetch departures for a station, filtered to trains serving the target
+// station, or to the relevant direction when no target is set.
+// staleMinutes is the age of cached departures used while offline, otherwise null.
+async function loadDepartures(station, location) {
+  let estimates;
+  try {
+    estimates = await loadEstimates(station);
+  } catch (error) {
+    // No estimates at all, e.g. overnight, but the schedule may still have trains
+    if (Core.getErrorType(error) !== Core.ERROR_TYPES.NO_SERVICE) {
+      throw error;
+    }
+    estimates = { etd: [], staleMinutes: null, error };
+  }
+  const staleMinutes = estimates.staleMinutes;
+  let allDepartures = formatDepartures(estimates.etd);
+
+  if (staleMinutes === null) {
+    allDepartures = await addScheduledDepartures(station, allDepartures);
+    if (estimates.error && Object.keys(allDepartures).length === 0) {
+      throw estimates.error;
+    }
+
+    if (SETTINGS.historyDays > 0) {
+      recordDepartureHistory(station, estimates.etd);
+    }
+
+    // Keep reminders in step with the latest estimates
+    await refreshReminders(station, allDepartures);
+  }
+
+  return {
+    departures: await filterDepartures(allDepartures, station, location),
+    staleMinutes,
+  };
+}
+
+// Departures filtered to trains serving the target station, or to the
+// relevant direction when no target is set
+async function filterDepartures(departures, station, location) {
+  const target = getTargetStation(station.abbr);
+  if (target && target !== station.abbr) {
+    try {
+      const routes = await loadRoutes();
+      return filterRoutesByDestination(departures, station.abbr, target, routes);
+    } catch (error) {
+      console.log('Falling back to direction filter:', error);
+    }
+  }
+
+  return filterRoutesByDirection(
+    departures,
+    location.latitude,
+    location.longitude
+  );
+}
+
+// Real-time estimates for a station. The last successful response is cached,
+// and used with its minutes shifted to the current time when a fetch fails
+// for a transient reason like a lost connection.
+async function loadEstimates(station) {
+  const cacheName = `etd-${station.abbr}`;
+  try {
+    const etd = await bartApi.getStationDepartures(station.abbr);
+    writeCache(cacheName, etd);
+    return { etd, staleMinutes: null };
+  } catch (error) {
+    const cached = Core.isTransientError(error)
+      ? readCacheEntry(cacheName, ETD_STALE_MINUTES * 60000)
+      : null;
+    if (!cached) {
+      throw error;
+    }
+    console.log('Using cached departures:', error);
+    const staleMinutes = Math.floor((Date.now() - cached.timestamp) / 60000);
+    return { etd: shiftEstimates(cached.data, staleMinutes), staleMinutes };
+  }
+}
+
+// Real-time departures plus scheduled trains for lines without estimates. The
+// schedule is best effort: when it fails the real-time departures are kept as is.
+async function addScheduledDepartures(station, realtime) {
+  try {
+    const scheduled = await loadScheduledDepartures(station);
+    for (const [lineColor, trains] of Object.entries(scheduled)) {
+      registerLineColor(lineColor, trains[0].hexcolor);
+    }
+    return Core.mergeScheduledDepartures(realtime, scheduled);
+  } catch (error) {
+    console.log('Error adding scheduled departures:', error);
+    return realtime;
+  }
+}
+
+// Schedule dates covering now: the current service day, which runs until
+// SERVICE_DAY_START_HOUR the next morning, then the following one
+function getServiceDates(now = new Date()) {
+  const startsToday = now.getHours() >= SERVICE_DAY_START_HOUR;
+  const serviceDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (startsToday ? 0 : 1));
+  const nextDay = new Date(serviceDay.getFullYear(), serviceDay.getMonth(), serviceDay.getDate() + 1);
+  return [Core.formatBartDate(serviceDay), Core.formatBartDate(nextDay)];
+}
+
+// Upcoming scheduled trains by line key, from the current service day or,
+// once its last train has left, the next day's first trains
+async function loadScheduledDepartures(station) {
+  const routes = await loadRoutes();
+  const stations = await loadStationList();
+  const now = new Date();
+  const dates = getServiceDates(now);
+
+  for (const date of dates) {
+    const schedule = await loadStationSchedule(station, date, dates);
+    const departures = Core.formatScheduledDepartures(schedule, routes, stations, now, formatTime, {
+      trainsPerLine: SCHEDULE_TRAINS_PER_LINE,
+    });
+    if (Object.keys(departures).length > 0) {
+      return departures;
+    }
+  }
+  return {};
+}
+
+// A station's schedule for date, cached by date since it doesn't change
+// during the day. Dates not in keepDates are dropped from the cache.
+async function loadStationSchedule(station, date, keepDates) {
+  const cacheName = `sched-${station.abbr}`;
+  const cached = readCache(cacheName, Number.POSITIVE_INFINITY) || {};
+  if (cached[date]) {
+    return cached[date];
+  }
+
+  const schedule = await bartApi.getStationSchedule(station.abbr, date);
+  const kept = Object.fromEntries(
+    Object.entries(cached).filter(([cachedDate]) => keepDates.includes(cachedDate))
+  );
+  writeCache(cacheName, { ...kept, [date]: schedule });
+  return schedule;
+}
+
+// Last train of the service day toward the target or direction, from the
+// schedule. Returns { train, minutes } within the lastTrain window before it
+// leaves, { train, ended: true } once it has left, otherwise null.
+async function loadLastTrain(station, location) {
+  if (SETTINGS.lastTrainWindow === 0) {
+    return null;
+  }
+
+  try {
+    const routes = await loadRoutes();
+    const stations = await loadStationList();
+    const dates = getServiceDates();
+    const schedule = await loadStationSchedule(station, dates[0], dates);
+
+    // Every train of the service day, counted from its midnight
+    const serviceStart = parseBartTime(schedule.date, "12:00 AM");
+    const allTrains = Core.formatScheduledDepartures(schedule, routes, stations, serviceStart, formatTime, {
+      trainsPerLine: Number.POSITIVE_INFINITY,
+    });
+    const trains = Object.values(await filterDepartures(allTrains, station, location)).flat();
+    if (trains.length === 0) {
+      return null;
+    }
+
+    const train = trains.reduce((last, candidate) =>
+      candidate.actualDepartureTime > last.actualDepartureTime ? candidate : last
+    );
+    const minutes = Math.ceil((train.actualDepartureTime - Date.now()) / 60000);
+    if (minutes < 0) {
+      return { train, ended: true };
+    }
+    return minutes <= SETTINGS.lastTrainWindow ? { train, minutes } : null;
+  } catch (error) {
+    console.log('Error finding last train:', error);
+    return null;
+  }
+}
+
+// e.g. "Last train at 12:04 AM · in 23 min" or "No more service tonight"
+function formatLastTrain(lastTrain) {
+  return lastTrain.ended
+    ? localize("noMoreService")
+    : localize("lastTrainAt", lastTrain.train.departureTime, lastTrain.minutes);
+}
+
+// Fares from origin to destination, cached for FARES_CACHE_DAYS. Failures fall
+// back to an older cached fare, or null.
+async function loadFare(origin, destination) {
+  const cacheName = `fare-${origin}-${destination}`;
+  const cached = readCache(cacheName, FARES_CACHE_DAYS * 24 * 3600000);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const fare = await bartApi.getFare(origin, destination);
+    writeCache(cacheName, fare);
+    return fare;
+  } catch (error) {
+    console.log('Using cached fare:', error);
+    return readCache(cacheName, Number.POSITIVE_INFINITY);
+  }
+}
+
+// Station for a calendar event's location, as { station, walkMinutes }: a
+// station named before the first comma (e.g. "Embarcadero BART"), otherwise the
+// station nearest the geocoded address when it is within walking distance
+async function findEventStation(location, stations) {
+  const named = Core.findStationInText(stations, location.split(/[,\n]/)[0]);
+  if (named) {
+    return { station: named, walkMinutes: 0 };
+  }
+
+  const [place] = await Location.geocodeAddress(location);
+  if (!place) {
+    return null;
+  }
+  const [nearest] = Core.findClosestStation(stations, place.location);
+  return nearest && nearest.distance <= MEETING_WALK_MAX_KM
+    ? { station: nearest.station, walkMinutes: getWalkingMinutes(nearest.distance) }
+    : null;
+}
+
+// Next event in the calendar setting's calendar ("all" for every calendar)
+// within the look-ahead window that is at or near another BART station, with
+// the latest trip that gets you there on time counting the walk at both ends:
+// { title, startDate, station, walkMinutes, trip, leaveBy }, where trip and
+// leaveBy are null when no train makes it. Null when there is no such event
+// or the calendar can't be read.
+async function loadMeeting(closest) {
+  if (!SETTINGS.calendar) {
+    return null;
+  }
+
+  try {
+    const calendars = SETTINGS.calendar.toLowerCase() === "all"
+      ? []
+      : [await Calendar.forEventsByTitle(SETTINGS.calendar)];
+    const now = new Date();
+    const end = new Date(now.getTime() + SETTINGS.lookaheadHours * 3600000);
+    const events = (await CalendarEvent.between(now, end, calendars))
+      .filter((event) => !event.isAllDay && event.location && event.startDate > now)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    const stations = await loadStationList();
+    const minutesToStation = getMinutesToStation(closest.distance);
+    for (const event of events) {
+      const resolved = await resolveMeetingEvent(event, closest.station.abbr, stations);
+      if (!resolved) {
+        continue;
+      }
+
+      const { place, trips, arriveBy } = resolved;
+      const earliestDeparture = Date.now() + minutesToStation * 60000;
+      const trip = trips
+        .filter((candidate) => candidate.arrivalTime <= arriveBy && candidate.departureTime >= earliestDeparture)
+        .reduce(
+          (latest, candidate) => (!latest || candidate.departureTime > latest.departureTime ? candidate : latest),
+          null
+        );
+      return {
+        title: event.title,
+        startDate: event.startDate,
+        station: place.station,
+        walkMinutes: place.walkMinutes,
+        trip,
+        leaveBy: trip ? new Date(trip.departureTime.getTime() - minutesToStation * 60000) : null,
+      };
+    }
+    return null;
+  } catch (error) {
+    console.log('Error finding next meeting:', error);
+    return null;
+  }
+}
+
+// An event's station and the trips from origin arriving by its start, as
+// { place, trips, arriveBy }, or null when it isn't near another station.
+// Results are cached per event for MEETING_CACHE_MINUTES, so refreshes don't
+// geocode every event and query the schedule each minute.
+async function resolveMeetingEvent(event, origin, stations) {
+  const key = `${event.identifier}|${event.startDate.getTime()}|${origin}`;
+  const cached = readCache("meetings", Number.POSITIVE_INFINITY) || {};
+  const entries = Object.fromEntries(
+    Object.entries(cached).filter(([, entry]) => Date.now() - entry.cachedAt <= MEETING_CACHE_MINUTES * 60000)
+  );
+
+  let entry = entries[key];
+  if (!entry) {
+    const place = await findEventStation(event.location, stations);
+    entry = { cachedAt: Date.now(), station: null, walkMinutes: 0, trips: [] };
+    if (place && place.station.abbr !== origin) {
+      const arriveBy = new Date(event.startDate.getTime() - place.walkMinutes * 60000);
+      entry = {
+        ...entry,
+        station: place.station.abbr,
+        walkMinutes: place.walkMinutes,
+        trips: await getArrivingTrips(origin, place.station.abbr, arriveBy),
+      };
+    }
+    writeCache("meetings", { ...entries, [key]: entry });
+  }
+
+  const station = entry.station && stations.find((candidate) => candidate.abbr === entry.station);
+  if (!station) {
+    return null;
+  }
+  // Dates come back from the cache as strings
+  const toDate = (value) => new Date(value);
+  return {
+    place: { station, walkMinutes: entry.walkMinutes },
+    trips: entry.trips.map((trip) => ({
+      ...trip,
+      departureTime: toDate(trip.departureTime),
+      arrivalTime: toDate(trip.arrivalTime),
+      legs: trip.legs.map((leg) => ({
+        ...leg,
+        departureTime: toDate(leg.departureTime),
+        arrivalTime: toDate(leg.arrivalTime),
+      })),
+    })),
+    arriveBy: new Date(event.startDate.getTime() - entry.walkMinutes * 60000),
+  };
+}
+
+// e.g. "Leave by 9:12 AM for Standup" or "No train gets you to Standup on time"
+function formatMeeting(meeting) {
+  return meeting.trip
+    ? localize("meetingLeaveBy", formatTime(meeting.leaveBy), meeting.title)
+    : localize("meetingNoTrain", meeting.title);
+}
+
+// e.g. "9:20 AM train to Embarcadero, arriving 9:41 AM · 5 min walk to the event"
+function formatMeetingTrip(meeting) {
+  const details = [];
+  if (meeting.trip) {
+    details.push(localize(
+      "meetingTrip",
+      formatTime(meeting.trip.departureTime),
+      meeting.station.name,
+      formatTime(meeting.trip.arrivalTime)
+    ));
+  }
+  if (meeting.walkMinutes > 0) {
+    details.push(localize("meetingWalk", meeting.walkMinutes));
+  }
+  return details.join(" · ");
+}
+
+// Fare to the target station for large widgets with the fare setting on, as
+// { fare, destinationName }, or null
+async function loadWidgetFare(station, family) {
+  const destination = getTargetStation(station.abbr);
+  if (!SETTINGS.showFare || !destination || destination === station.abbr ||
+    (family !== "large" && family !== "extraLarge")) {
+    return null;
+  }
+  const fare = await loadFare(station.abbr, destination);
+  return fare ? { fare, destinationName: await getStationName(destination) } : null;
+}
+
+// Station name for an abbreviation, or the abbreviation when it is unknown
+async function getStationName(abbr) {
+  const station = (await loadStationList()).find((candidate) => candidate.abbr === abbr);
+  return station ? station.name : abbr;
+}
+
+// One fare type as "$2.15", or null when BART doesn't list it
+function formatFare(fare, type) {
+  const entry = fare.fares.find((candidate) => candidate.type === type);
+  return entry ? `$${entry.amount.toFixed(2)}` : null;
+}
+
+// Discounted fares and the airport surcharge note, e.g.
+// "Senior/Disabled $0.80 · Youth $1.05 · Ticket $2.15"
+function formatFareDetails(fare) {
+  const fareTypes = localize("fareTypes");
+  const details = ["seniorDisabled", "youth", "clipperStart", "ticket"]
+    .filter((type) => formatFare(fare, type))
+    .map((type) => `${fareTypes[type]} ${formatFare(fare, type)}`);
+  if (fare.sfoSurcharge) {
+    details.push(localize("sfoSurcharge"));
+  }
+  return details.join(" · ");
+}
+
+// Trips to the target station that leave after you can reach the platform
+async function loadTrips(closest, target) {
+  const trips = await getTrips(closest.station.abbr, target);
+  const earliestDeparture = Date.now() + getMinutesToStation(closest.distance) * 60000;
+  return trips.filter((trip) => trip.departureTime >= earliestDeparture);
+}
+
+// Transfer summary, e.g. "Transfer at MCAR (4 min wait)" or "Direct"
+function formatTransfers(trip) {
+  if (trip.transfers.length === 0) {
+    return localize("direct");
+  }
+  return trip.transfers
+    .map((transfer) => localize("transferAt", transfer.station, transfer.waitMinutes))
+    .join(", ");
+}
+
+// Pending leave-now notifications scheduled by scheduleReminder
+async function getPendingReminders() {
+  try {
+    const pending = await Notification.allPending();
+    return pending.filter(
+      (notification) => notification.userInfo && notification.userInfo.type === "bartReminder"
+    );
+  } catch (error) {
+    console.log('Error loading reminders:', error);
+    return [];
+  }
+}
+
+// Schedule a notification to leave for a train, departure time minus the time
+// to reach the station and the buffer. Passing an identifier replaces that reminder.
+async function scheduleReminder(train, station, minutesToStation, identifier = null) {
+  const departureTime = new Date(train.actualDepartureTime);
+  const leaveTime = new Date(
+    departureTime.getTime() - (minutesToStation + SETTINGS.reminderBuffer) * 60000
+  );
+
+  const notification = new Notification();
+  notification.identifier =
+    identifier || `bart-reminder-${station.abbr}-${train.abbreviation}-${Date.now()}`;
+  notification.threadIdentifier = REMINDER_THREAD;
+  notification.title = localize("reminderTitle");
+  notification.body = localize("reminderBody", formatTime(departureTime), train.destination, station.name);
+  notification.userInfo = {
+    type: "bartReminder",
+    station: station.abbr,
+    stationName: station.name,
+    abbreviation: train.abbreviation,
+    destination: train.destination,
+    lineColor: train.lineColor,
+    departureTime: departureTime.getTime(),
+    minutesToStation,
+  };
+  // Remind right away when it's already time to leave
+  notification.setTriggerDate(leaveTime > new Date() ? leaveTime : new Date(Date.now() + 1000));
+  await notification.schedule();
+
+  return leaveTime;
+}
+
+// Reschedule reminders at this station whose train estimate has moved, and
+// replace those for cancelled trains with a notice. A failure is logged so
+// the departures still render.
+async function refreshReminders(station, departures) {
+  try {
+    const reminders = (await getPendingReminders()).filter(
+      (reminder) => reminder.userInfo.station === station.abbr
+    );
+    if (reminders.length === 0) {
+      return;
+    }
+
+    const trains = Object.values(departures).flat();
+    for (const reminder of reminders) {
+      const info = reminder.userInfo;
+      const train = findReminderTrain(trains, info);
+      if (!train) {
+        continue;
+      }
+      if (train.cancelled) {
+        console.log(`Replacing ${info.destination} reminder, train cancelled`);
+        await notifyReminderCancelled(reminder);
+        continue;
+      }
+
+      const movedMinutes = Math.round((train.actualDepartureTime - info.departureTime) / 60000);
+      if (Math.abs(movedMinutes) >= REMINDER_RESCHEDULE_MINUTES) {
+        console.log(`Rescheduling ${info.destination} reminder, train moved ${movedMinutes} min`);
+        await scheduleReminder(
+          { ...train, destination: info.destination },
+          { abbr: info.station, name: info.stationName },
+          info.minutesToStation,
+          reminder.identifier
+        );
+      }
+    }
+  } catch (error) {
+    console.log('Error refreshing reminders:', error);
+  }
+}
+
+// Replace a reminder with a notification, delivered now, that its train is
+// cancelled. It's no longer listed with the reminders.
+async function notifyReminderCancelled(reminder) {
+  const info = reminder.userInfo;
+  const notification = new Notification();
+  notification.identifier = reminder.identifier;
+  notification.threadIdentifier = REMINDER_THREAD;
+  notification.title = localize("reminderCancelledTitle");
+  notification.body = localize(
+    "reminderCancelledBody",
+    formatTime(new Date(info.departureTime)),
+    info.destination,
+    info.stationName
+  );
+  notification.userInfo = { ...info, type: "bartReminderCancelled" };
+  notification.setTriggerDate(new Date(Date.now() + 1000));
+  await notification.schedule();
+}
+
+// Train to the reminder's destination on its line closest to its departure
+// time, which may be cancelled. Reminders scheduled before the line was
+// stored match on the destination alone.
+function findReminderTrain(trains, info) {
+  let match = null;
+  for (const train of trains) {
+    const difference = Math.abs(train.actualDepartureTime - info.departureTime);
+    if (
+      train.abbreviation === info.abbreviation &&
+      (!info.lineColor || train.lineColor === info.lineColor) &&
+      difference <= REMINDER_MATCH_MINUTES * 60000 &&
+      (!match || difference < Math.abs(match.actualDepartureTime - info.departureTime))
+    ) {
+      match = train;
+    }
+  }
+  return match;
+}
+
+// Ask to schedule a reminder for a train selected in the table
+async function promptReminder(train, closest) {
+  const alert = new Alert();
+  if (train.catchStatus === "missed") {
+    alert.title = localize("tooLate");
+    alert.message = localize("tooLateMessage", closest.station.name, train.departureTime, train.destination);
+    alert.addAction(localize("ok"));
+    await alert.presentAlert();
+    return;
+  }
+
+  const minutesToStation = getMinutesToStation(closest.distance);
+  alert.title = localize("remindMeTitle");
+  alert.message = localize(
+    "remindMeMessage",
+    minutesToStation + SETTINGS.reminderBuffer,
+    train.departureTime,
+    train.destination
+  );
+  alert.addAction(localize("remindMe"));
+  alert.addCancelAction(localize("cancel"));
+  if (await alert.presentAlert() === -1) {
+    return;
+  }
+
+  const leaveTime = await scheduleReminder(train, closest.station, minutesToStation);
+  const confirmation = new Alert();
+  confirmation.title = localize("reminderSet");
+  confirmation.message = localize("reminderSetMessage", formatTime(leaveTime));
+  confirmation.addAction(localize("ok"));
+  await confirmation.presentAlert();
+}
+
+// List pending reminders and cancel one or all of them
+async function manageReminders() {
+  const reminders = await getPendingReminders();
+  const alert = new Alert();
+  alert.title = localize("trainReminders");
+  if (reminders.length === 0) {
+    alert.message = localize("noReminders");
+    alert.addAction(localize("ok"));
+    await alert.presentAlert();
+    return;
+  }
+
+  alert.message = localize("tapToCancel");
+  for (const reminder of reminders) {
+    const info = reminder.userInfo;
+    alert.addAction(
+      localize("reminderAction", formatTime(new Date(info.departureTime)), info.destination, info.station)
+    );
+  }
+  alert.addDestructiveAction(localize("cancelAll"));
+  alert.addCancelAction(localize("done"));
+
+  const choice = await alert.presentAlert();
+  if (choice === -1) {
+    return;
+  }
+  const cancelled = choice < reminders.length ? [reminders[choice]] : reminders;
+  await Notification.removePending(cancelled.map((reminder) => reminder.identifier));
+}
+
+// Earliest catchable train across all lines, or the earliest train when none
+// can be caught. Cancelled trains are never the next train.
+function getNextTrain(departures) {
+  let nextTrain = null;
+  let nextCatchable = null;
+  for (const trains of Object.values(departures)) {
+    for (const train of trains) {
+      if (train.cancelled) {
+        continue;
+      }
+      if (!nextTrain || train.actualDepartureTime < nextTrain.actualDepartureTime) {
+        nextTrain = train;
+      }
+      if (
+        train.catchStatus !== "missed" &&
+        (!nextCatchable || train.actualDepartureTime < nextCatchable.actualDepartureTime)
+      ) {
+        nextCatchable = train;
+      }
+    }
+  }
+  return nextCatchable || nextTrain;
+}
+
+function isLeaving(train) {
+  return train.minutes === "0" || Number.isNaN(Number.parseInt(train.minutes));
+}
+
+// Destination with the transfer station, e.g. "Richmond via MCAR"
+function formatDestination(train) {
+  return train.transfer
+    ? localize("via", train.destination, train.transfer)
+    : train.destination;
+}
+
+// Text struck through with combining overlay characters, as widget and table
+// text has no strikethrough style
+function strikeThrough(text) {
+  return [...text].map((char) => `${char}\u0336`).join("");
+}
+
+// "+4" badge after a train running behind schedule
+function addDelayBadge(stack, train) {
+  if (!(train.delay > 0) || train.cancelled) {
+    return;
+  }
+  const badge = stack.addStack();
+  badge.backgroundColor = ColorScheme.warningText;
+  badge.cornerRadius = 4;
+  badge.setPadding(0, 3, 0, 3);
+  const delay = badge.addText(localize("delayBadge", train.delay));
+  delay.textColor = ColorScheme.background;
+  delay.font = getFont(10, true);
+}
+
+// "Leaving", minutes with actual time, e.g. "5 min (3:45 PM)", or the
+// scheduled time for trains without an estimate, e.g. "Scheduled 5:02 AM"
+function formatNextTrainTime(train) {
+  if (train.scheduled) {
+    return localize("scheduledAt", train.departureTime);
+  }
+  return isLeaving(train)
+    ? localize("leaving")
+    : localize("nextTrainTime", train.minutes, train.departureTime);
+}
+
+// Direction arrow with line dot (→● or ●←), or the line's badge in accessible mode
+function getLineIndicator(color) {
+  if (SETTINGS.accessible) {
+    return getLineBadge(color);
+  }
+  return color.endsWith("E") ? "→●" : "●←";
+}
+
+// Badge letter for a line key with its direction arrow on the same side as
+// the dot's, e.g. "Y→" for "YellowE" and "←Y" for "YellowW"
+function getLineBadge(color) {
+  const name = color.slice(0, -1);
+  const letter = LINE_BADGES[name] || name.slice(0, 2).toUpperCase();
+  return color.endsWith("E") ? `${letter}→` : `←${letter}`;
+}
+
+// Black or white text, whichever reads best on the line color
+function getLineBadgeTextColor(color) {
+  return ColorScheme.lines[color] ? ColorScheme.lines[color].badgeText : Color.white();
+}
+
+// Line indicator in a widget stack: the colored arrow and dot, or in accessible
+// mode the badge on the line color
+function addLineIndicator(stack, color) {
+  if (!SETTINGS.accessible) {
+    const indicator = stack.addText(getLineIndicator(color));
+    indicator.textColor = getLineIndicatorColor(color);
+    indicator.font = getFont(12, true);
+    return;
+  }
+
+  const badge = stack.addStack();
+  badge.backgroundColor = getLineIndicatorColor(color);
+  badge.cornerRadius = 4;
+  badge.setPadding(0, 4, 0, 4);
+  const letter = badge.addText(getLineBadge(color));
+  letter.textColor = getLineBadgeTextColor(color);
+  letter.font = getFont(12, true);
+}
+
+// System font at size, or in accessible mode the nearest Dynamic Type text
+// style so widget text follows the user's text size
+function getFont(size, bold = false) {
+  if (!SETTINGS.accessible) {
+    return bold ? Font.boldSystemFont(size) : Font.systemFont(size);
+  }
+  if (size >= 20) {
+    return Font.title1();
+  }
+  if (size >= 16) {
+    return Font.headline();
+  }
+  if (size >= 12) {
+    return bold ? Font.headline() : Font.subheadline();
+  }
+  if (size >= 10) {
+    return Font.caption1();
+  }
+  return Font.caption2();
+}
+
+// URL that opens the script at a station, and optionally a line, when tapped
+function getStationUrl(abbr, color = null) {
+  return getScriptUrl({ station: abbr, line: color });
+}
+
+// URL that opens the service advisories and elevator outages, from a station
+function getAdvisoriesUrl(abbr) {
+  return getScriptUrl({ station: abbr, view: "advisories" });
+}
+
+// URL that runs the script with query parameters, read back by
+// createLinkedTable from args.queryParameters. Unset parameters are left out.
+// The widget's commute profiles go along, since the app has no widget parameter.
+function getScriptUrl(parameters) {
+  const query = Object.entries({ ...parameters, profiles: SETTINGS.profilesParameter })
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `${URLScheme.forRunningScript()}?${query}`;
+}
+
+function getLineIndicatorColor(color) {
+  if (!ColorScheme.lines[color]) {
+    return ColorScheme.secondaryText;
+  }
+  return Color.dynamic(
+    ColorScheme.lines[color].light,
+    ColorScheme.lines[color].dark
+  );
+}
+
+// Schedule the next refresh from context (see Core.planRefresh), e.g. sooner
+// when a train is close and much later overnight. Returns the plan.
+function setRefreshInterval(w, context = {}) {
+  const plan = Core.planRefresh({
+    intervalMinutes: SETTINGS.refreshMinutes,
+    quietHours: SETTINGS.quietHours,
+    ...context,
+  });
+  console.log(`Next refresh in ${plan.minutes} min: ${plan.reason}`);
+
+  // Fractional intervals like refresh=0.5 count too
+  w.refreshAfterDate = new Date(Date.now() + plan.minutes * 60000);
+  return plan;
+}
+
+// Refresh context for departures: the next catchable train, or the first
+// train of the morning when none have real-time estimates
+function getDeparturesRefreshContext(closest, departures) {
+  const trains = Object.values(departures).flat();
+  const context = { distanceMiles: closest.distance * 0.621371 };
+  if (trains.length > 0 && trains.every((train) => train.scheduled)) {
+    const firstTrain = Math.min(...trains.map((train) => train.actualDepartureTime));
+    context.minutesUntilService = Math.max(0, (firstTrain - Date.now()) / 60000);
+    return context;
+  }
+
+  const catchable = trains.filter(
+    (train) => !train.scheduled && !["missed", "cancelled"].includes(train.catchStatus)
+  );
+  if (catchable.length > 0) {
+    context.leaveInMinutes = Math.min(...catchable.map((train) => train.leaveInMinutes));
+  }
+  return context;
+}
+
+// Consecutive failed widget refreshes, kept across runs for backing off
+function getWidgetErrorCount() {
+  return readCache("widgetErrors", Number.POSITIVE_INFINITY) || 0;
+}
+
+function setWidgetErrorCount(count) {
+  writeCache("widgetErrors", count);
+}
+
+// Create widget for the family it is placed in
+async function createWidget(closest, location) {
+  const family = getWidgetFamily();
+
+  // Other agencies' stops show their own departures under their branding
+  if (getStationAgency(closest.station) !== BART_AGENCY) {
+    const loaded = await loadAgencyDepartures(closest.station);
+    const departures = classifyDepartures(loaded.departures, getMinutesToStation(closest.distance));
+    const w = createAgencyWidget(
+      closest,
+      departures,
+      family,
+      family === "large" || family === "extraLarge" ? await loadAgencySections(location, closest.station) : []
+    );
+    w.url = getStationUrl(closest.station.abbr);
+    setRefreshInterval(w, getDeparturesRefreshContext(closest, departures));
+    return w;
+  }
+
+  // Trip mode shows arrival times instead of departures
+  const target = getTargetStation(closest.station.abbr);
+  if (SETTINGS.mode === "trip" && target) {
+    const trips = await loadTrips(closest, target);
+    const alerts = {
+      ...await loadAlerts(closest.station),
+      lastTrain: await loadLastTrain(closest.station, location),
+      meeting: await loadMeeting(closest),
+    };
+    const w = createTripWidget(closest, trips, target, family, alerts);
+    w.url = getStationUrl(closest.station.abbr);
+    const minutesToStation = getMinutesToStation(closest.distance);
+    setRefreshInterval(w, {
+      distanceMiles: closest.distance * 0.621371,
+      leaveInMinutes: trips.length > 0
+        ? Math.round((trips[0].departureTime - Date.now()) / 60000) - minutesToStation
+        : null,
+    });
+    return w;
+  }
+
+  const loaded = await loadDepartures(closest.station, location);
+  const departures = classifyDepartures(loaded.departures, getMinutesToStation(closest.distance));
+  const staleMinutes = loaded.staleMinutes;
+  const alerts = {
+    ...await loadAlerts(closest.station),
+    lastTrain: await loadLastTrain(closest.station, location),
+    meeting: await loadMeeting(closest),
+  };
+
+  let w;
+  switch (family) {
+    case "small":
+      w = createSmallWidget(closest, departures, alerts, staleMinutes);
+      break;
+    case "accessoryRectangular":
+    case "accessoryInline":
+    case "accessoryCircular":
+      w = createAccessoryWidget(closest, departures, family, alerts, staleMinutes);
+      break;
+    default:
+      w = createBoardWidget(
+        closest,
+        departures,
+        family,
+        alerts,
+        staleMinutes,
+        await loadWidgetFare(closest.station, family),
+        family === "large" || family === "extraLarge" ? await loadAgencySections(location, closest.station) : []
+      );
+  }
+
+  w.url = getStationUrl(closest.station.abbr);
+  setRefreshInterval(w, getDeparturesRefreshContext(closest, departures));
+  return w;
+}
+
+// Why this station is shown: the active commute profile's name when the
+// station is its origin, otherwise "Nearest" or "Pinned" and the station's
+// agency, e.g. when a pinned station wins over the profile
+function getStationHeader(closest) {
+  if (activeProfile && closest.station.abbr === activeProfile.origin) {
+    return activeProfile.name;
+  }
+  const agency = getStationAgency(closest.station);
+  return agency === BART_AGENCY
+    ? localize(closest.pinned ? "pinnedStation" : "nearestStation")
+    : localize(closest.pinned ? "pinnedAgencyStop" : "nearestAgencyStop", agency.name);
+}
+
+// Station name with distance and walking time
+function addStationInfo(w, closest) {
+  const stationName = w.addText(closest.station.name);
+  stationName.textColor = ColorScheme.primaryText;
+  stationName.font = getFont(14);
+  stationName.lineLimit = 1;
+
+  const distanceInfo = formatDistanceAndTime(closest.distance);
+  const distanceStack = w.addStack();
+  distanceStack.spacing = 4;
+
+  const distanceText = distanceStack.addText(distanceInfo.distance);
+  distanceText.textColor = ColorScheme.accentBlue;
+  distanceText.font = getFont(12);
+
+  const bulletPoint = distanceStack.addText("•");
+  bulletPoint.textColor = ColorScheme.secondaryText;
+  bulletPoint.font = getFont(12);
+
+  const walkingText = distanceStack.addText(distanceInfo.walkingTime);
+  walkingText.textColor = ColorScheme.secondaryText;
+  walkingText.font = getFont(12);
+}
+
+// Last updated timestamp with clock icon, or the age of cached departures
+// when offline. Tapping it opens url, e.g. the advisories.
+function addLastUpdated(w, staleMinutes = null, url = null) {
+  const isStale = staleMinutes !== null;
+  const footer = w.addStack();
+  footer.centerAlignContent();
+  if (url) {
+    footer.url = url;
+  }
+
+  const updateIcon = footer.addImage(SFSymbol.named(isStale ? "wifi.slash" : "clock").image);
+  updateIcon.imageSize = new Size(10, 10);
+  updateIcon.tintColor = isStale ? ColorScheme.warningText : ColorScheme.secondaryText;
+
+  footer.addSpacer(2);
+
+  const now = new Date();
+  const timestamp = footer.addText(
+    isStale ? formatStaleNote(staleMinutes) : localize("lastUpdated", formatTime(now))
+  );
+  timestamp.textColor = isStale ? ColorScheme.warningText : ColorScheme.secondaryText;
+  timestamp.font = getFont(10);
+}
+
+// e.g. "Offline · times from 12 min ago"
+function formatStaleNote(staleMinutes) {
+  return localize("offline", staleMinutes);
+}
+
+// Compact rows for the last train, your next meeting, active advisories and
+// elevator outages. The last train warning comes first and stands out.
+function addAlertRows(w, alerts, advisoriesUrl = null) {
+  const rows = [];
+  if (alerts.lastTrain) {
+    rows.push({
+      symbol: alerts.lastTrain.ended ? "moon.zzz" : "clock.badge.exclamationmark",
+      text: formatLastTrain(alerts.lastTrain),
+      color: ColorScheme.warningText,
+      prominent: true,
+    });
+  }
+  if (alerts.meeting) {
+    rows.push({
+      symbol: "calendar",
+      text: formatMeeting(alerts.meeting),
+      color: alerts.meeting.trip ? ColorScheme.accentBlue : ColorScheme.warningText,
+    });
+  }
+  if (alerts.advisories.length > 0) {
+    rows.push({
+      symbol: "exclamationmark.triangle.fill",
+      text: alerts.advisories[0].smsText || alerts.advisories[0].text,
+      color: ColorScheme.warningText,
+      url: advisoriesUrl,
+    });
+  }
+  if (alerts.stationElevators === null) {
+    if (SETTINGS.elevatorStatus) {
+      rows.push({
+        symbol: "questionmark.circle",
+        text: localize("elevatorStatusUnavailable"),
+        color: ColorScheme.secondaryText,
+      });
+    }
+  } else if (alerts.stationElevators.length > 0) {
+    rows.push({
+      symbol: "arrow.up.arrow.down.circle.fill",
+      text: localize("elevatorOut"),
+      color: ColorScheme.warningText,
+      url: advisoriesUrl,
+    });
+  } else if (SETTINGS.elevatorStatus) {
+    rows.push({
+      symbol: "arrow.up.arrow.down.circle",
+      text: localize("elevatorsInService"),
+      color: ColorScheme.secondaryText,
+    });
+  }
+
+  for (const row of rows) {
+    const alertStack = w.addStack();
+    alertStack.centerAlignContent();
+    alertStack.spacing = 4;
+    if (row.url) {
+      alertStack.url = row.url;
+    }
+
+    const size = row.prominent ? 12 : 10;
+    const icon = alertStack.addImage(SFSymbol.named(row.symbol).image);
+    icon.imageSize = new Size(size, size);
+    icon.tintColor = row.color;
+
+    const text = alertStack.addText(row.text);
+    text.textColor = row.color;
+    text.font = getFont(size, row.prominent);
+    text.lineLimit = 1;
+  }
+}
+
+function addNoTrainsText(w) {
+  const noTrains = w.addText(
+    localize("noTrains")
+  );
+  noTrains.textColor = ColorScheme.secondaryText;
+  noTrains.font = getFont(12);
+}
+
+// Small widget: station and the single next train
+function createSmallWidget(closest, departures, alerts, staleMinutes) {
+  const w = new ListWidget();
+  w.backgroundColor = ColorScheme.background;
+
+  addStationInfo(w, closest);
+  addAlertRows(w, alerts);
+
+  w.addSpacer();
+
+  const nextTrain = getNextTrain(departures);
+  if (nextTrain) {
+    const lineStack = w.addStack();
+    lineStack.spacing = 4;
+
+    addLineIndicator(lineStack, nextTrain.lineColor);
+
+    const destination = lineStack.addText(formatDestination(nextTrain));
+    destination.textColor = ColorScheme.primaryText;
+    destination.font = getFont(12);
+    destination.lineLimit = 1;
+    addDelayBadge(lineStack, nextTrain);
+
+    // Scheduled trains show their time in place of a countdown
+    const minutes = w.addText(
+      nextTrain.scheduled
+        ? nextTrain.departureTime
+        : isLeaving(nextTrain) ? localize("leaving") : localize("minutes", nextTrain.minutes)
+    );
+    minutes.textColor = ColorScheme.primaryText;
+    minutes.font = getFont(24, true);
+    minutes.minimumScaleFactor = 0.5;
+
+    const departureTime = w.addText(
+      nextTrain.scheduled ? localize("scheduled") : nextTrain.departureTime
+    );
+    departureTime.textColor = ColorScheme.secondaryText;
+    departureTime.font = getFont(12);
+
+    const catchStatus = w.addText(formatCatchStatus(nextTrain));
+    catchStatus.textColor = getCatchStatusColor(nextTrain);
+    catchStatus.font = getFont(12, true);
+  } else {
+    addNoTrainsText(w);
+  }
+
+  w.addSpacer();
+  addLastUpdated(w, staleMinutes);
+
+  return w;
+}
+
+// Medium and large widgets: per-line rows, large adds the address, more trains,
+// the fare from loadWidgetFare when there is one and nearby stops of other
+// agencies from loadAgencySections
+function createBoardWidget(closest, departures, family, alerts, staleMinutes, widgetFare = null, agencySections = []) {
+  const isLarge = family === "large" || family === "extraLarge";
+  const trainsPerLine =
+    SETTINGS.maxTrains || TRAINS_PER_LINE[family] || TRAINS_PER_LINE.medium;
+
+  const w = new ListWidget();
+  w.backgroundColor = ColorScheme.background;
+
+  // Station header
+  const header = w.addText(getStationHeader(closest));
+  header.textColor = ColorScheme.headerText;
+  header.font = getFont(16, true);
+  header.url = getStationUrl(closest.station.abbr);
+
+  w.addSpacer(4);
+
+  addStationInfo(w, closest);
+
+  if (isLarge) {
+    const address = w.addText(closest.station.address);
+    address.textColor = ColorScheme.secondaryText;
+    address.font = getFont(12);
+    address.lineLimit = 1;
+  }
+
+  // The Clipper fare, or the first fare the API lists when it has none
+  const fareEntry = widgetFare &&
+    (widgetFare.fare.fares.find((entry) => entry.type === "clipper") || widgetFare.fare.fares[0]);
+  if (isLarge && fareEntry) {
+    const fareName = localize("fareTypes")[fareEntry.type] || fareEntry.name;
+    const fareText = w.addText(
+      `${localize("fareTo", widgetFare.destinationName)} · ${fareName} ${formatFare(widgetFare.fare, fareEntry.type)}`
+    );
+    fareText.textColor = ColorScheme.secondaryText;
+    fareText.font = getFont(12);
+    fareText.lineLimit = 1;
+  }
+
+  addAlertRows(w, alerts, getAdvisoriesUrl(closest.station.abbr));
+
+  w.addSpacer(8);
+
+  let hasTrains = false;
+  for (const [color, trains] of Object.entries(departures)) {
+    if (trains.length > 0) {
+      hasTrains = true;
+      const lineStack = w.addStack();
+      lineStack.spacing = 4;
+      lineStack.url = getStationUrl(closest.station.abbr, color);
+
+      // Line indicator with direction
+      addLineIndicator(lineStack, color);
+
+      // Next train info, struck through when cancelled
+      const nextTrain = trains[0];
+      const nextTrainText = `${formatDestination(nextTrain)}: ${formatNextTrainTime(nextTrain)}`;
+      const trainInfo = lineStack.addText(
+        nextTrain.cancelled ? strikeThrough(nextTrainText) : nextTrainText
+      );
+      trainInfo.textColor = ["missed", "cancelled"].includes(nextTrain.catchStatus)
+        ? ColorScheme.secondaryText
+        : ColorScheme.primaryText;
+      trainInfo.font = getFont(12);
+      addDelayBadge(lineStack, nextTrain);
+
+      const catchStatus = lineStack.addText(formatCatchStatus(nextTrain));
+      catchStatus.textColor = getCatchStatusColor(nextTrain);
+      catchStatus.font = getFont(10, true);
+
+      if (trains.length > 1) {
+        const nextTrains = lineStack.addText(
+          ` +${trains
+            .slice(1, trainsPerLine)
+            .map((t) => (t.cancelled ? strikeThrough(t.departureTime) : t.departureTime))
+            .join(", ")}`
+        );
+        nextTrains.textColor = ColorScheme.secondaryText;
+        nextTrains.font = getFont(10);
+      }
+
+      w.addSpacer(2);
+    }
+  }
+
+  // Show message if no trains in desired direction
+  if (!hasTrains) {
+    addNoTrainsText(w);
+  }
+
+  addAgencySections(w, agencySections, trainsPerLine);
+
+  if (isLarge) {
+    w.addSpacer();
+  }
+
+  // Add last updated timestamp
+  w.addSpacer(4);
+  addLastUpdated(w, staleMinutes, getAdvisoriesUrl(closest.station.abbr));
+
+  return w;
+}
+
+// Routes shown for another agency's stop in each widget size, and in the
+// sections of nearby stops on large widgets
+const AGENCY_LINES_PER_WIDGET = {
+  small: 2,
+  medium: 4,
+  large: 9,
+  extraLarge: 9,
+  section: 3,
+};
+
+// Widget for another agency's stop: its departures by route and direction
+// under the agency's name and color, and on large widgets the nearby stops of
+// the other providers, BART included, from loadAgencySections
+function createAgencyWidget(closest, departures, family, agencySections = []) {
+  const agency = getStationAgency(closest.station);
+  const w = new ListWidget();
+  const nextTrain = getNextTrain(departures);
+  const countdown = nextTrain
+    ? isLeaving(nextTrain) ? localize("now") : localize("minutes", nextTrain.minutes)
+    : "--";
+
+  if (family === "accessoryInline") {
+    w.addText(
+      nextTrain
+        ? `${nextTrain.route} ${nextTrain.destination} ${countdown}`
+        : `${agency.name} ${localize("noDepartures")}`
+    );
+    return w;
+  }
+  if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+    const route = w.addText(nextTrain ? nextTrain.route : agency.name);
+    route.font = getFont(10, true);
+    route.centerAlignText();
+    const minutes = w.addText(nextTrain ? countdown : "--");
+    minutes.font = getFont(16, true);
+    minutes.minimumScaleFactor = 0.5;
+    minutes.centerAlignText();
+    return w;
+  }
+  if (family === "accessoryRectangular") {
+    const station = w.addText(`${agency.name} · ${closest.station.name}`);
+    station.font = getFont(13, true);
+    station.lineLimit = 1;
+    const next = w.addText(
+      nextTrain ? `${nextTrain.route} ${nextTrain.destination}` : localize("noDepartures")
+    );
+    next.font = getFont(12);
+    next.lineLimit = 1;
+    if (nextTrain) {
+      const time = w.addText(formatNextTrainTime(nextTrain));
+      time.font = getFont(14, true);
+      time.minimumScaleFactor = 0.7;
+    }
+    return w;
+  }
+
+  w.backgroundColor = ColorScheme.background;
+  addAgencyHeader(
+    w,
+    agency,
+    getStationHeader(closest),
+    family === "small" ? 12 : 16,
+    getStationUrl(closest.station.abbr)
+  );
+  w.addSpacer(4);
+  addStationInfo(w, closest);
+  w.addSpacer(8);
+
+  addAgencyLines(
+    w,
+    departures,
+    agency,
+    AGENCY_LINES_PER_WIDGET[family] || AGENCY_LINES_PER_WIDGET.medium,
+    SETTINGS.maxTrains || TRAINS_PER_LINE[family] || 1,
+    closest.station.abbr
+  );
+  addAgencySections(w, agencySections, SETTINGS.maxTrains || TRAINS_PER_LINE[family] || 1);
+
+  w.addSpacer();
+  addLastUpdated(w, null, getAdvisoriesUrl(closest.station.abbr));
+  return w;
+}
+
+// Nearby stops of other agencies on large widgets, each under its agency's
+// name with its next few routes
+function addAgencySections(w, agencySections, trainsPerLine) {
+  for (const section of agencySections) {
+    w.addSpacer(6);
+    const sectionAbbr = section.closest.station.abbr;
+    addAgencyHeader(
+      w,
+      section.agency,
+      `${section.agency.name} · ${section.closest.station.name}`,
+      12,
+      getStationUrl(sectionAbbr)
+    );
+    w.addSpacer(2);
+    addAgencyLines(w, section.departures, section.agency, AGENCY_LINES_PER_WIDGET.section, trainsPerLine, sectionAbbr);
+  }
+}
+
+// Agency name or heading in the agency's color, with its colored dot. Tapping
+// it opens url, e.g. the stop's departures.
+function addAgencyHeader(w, agency, title, size, url = null) {
+  const headerStack = w.addStack();
+  headerStack.centerAlignContent();
+  headerStack.spacing = 4;
+  if (url) {
+    headerStack.url = url;
+  }
+
+  const dot = headerStack.addText("●");
+  dot.textColor = new Color(agency.color);
+  dot.font = getFont(size);
+
+  const text = headerStack.addText(title);
+  text.textColor = new Color(agency.color);
+  text.font = getFont(size, true);
+  text.lineLimit = 1;
+}
+
+// One row per route and direction, soonest first: the route name in its
+// color, the destination and next departure, and the times after it. With
+// stationAbbr, tapping a row opens that route's departures.
+function addAgencyLines(w, departures, agency, maxLines, trainsPerLine, stationAbbr = null) {
+  const lines = Object.entries(departures)
+    .filter(([, trains]) => trains.length > 0)
+    .sort(([, a], [, b]) => a[0].actualDepartureTime - b[0].actualDepartureTime)
+    .slice(0, maxLines);
+
+  for (const [lineKey, trains] of lines) {
+    const nextTrain = trains[0];
+    const lineStack = w.addStack();
+    lineStack.spacing = 4;
+    if (stationAbbr) {
+      lineStack.url = getStationUrl(stationAbbr, lineKey);
+    }
+
+    const route = lineStack.addText(nextTrain.route);
+    route.textColor = new Color(nextTrain.hexcolor || agency.color);
+    route.font = getFont(12, true);
+
+    // Next train, struck through when cancelled
+    const nextTrainText = `${nextTrain.destination}: ${formatNextTrainTime(nextTrain)}`;
+    const trainInfo = lineStack.addText(nextTrain.cancelled ? strikeThrough(nextTrainText) : nextTrainText);
+    trainInfo.textColor = ["missed", "cancelled"].includes(nextTrain.catchStatus)
+      ? ColorScheme.secondaryText
+      : ColorScheme.primaryText;
+    trainInfo.font = getFont(12);
+    trainInfo.lineLimit = 1;
+    addDelayBadge(lineStack, nextTrain);
+
+    if (trains.length > 1 && trainsPerLine > 1) {
+      const laterTrains = lineStack.addText(
+        ` +${trains
+          .slice(1, trainsPerLine)
+          .map((train) => (train.cancelled ? strikeThrough(train.departureTime) : train.departureTime))
+          .join(", ")}`
+      );
+      laterTrains.textColor = ColorScheme.secondaryText;
+      laterTrains.font = getFont(10);
+      laterTrains.lineLimit = 1;
+    }
+
+    w.addSpacer(2);
+  }
+
+  if (lines.length === 0) {
+    const noDepartures = w.addText(localize("noDepartures"));
+    noDepartures.textColor = ColorScheme.secondaryText;
+    noDepartures.font = getFont(12);
+  }
+}
+
+// Lock Screen widgets: a single next-train countdown
+function createAccessoryWidget(closest, departures, family, alerts, staleMinutes) {
+  const w = new ListWidget();
+  const nextTrain = getNextTrain(departures);
+  // Cached countdowns are marked approximate
+  const countdown = nextTrain
+    ? nextTrain.scheduled
+      ? localize("scheduledAt", nextTrain.departureTime)
+      : isLeaving(nextTrain)
+        ? localize("now")
+        : `${staleMinutes !== null ? "~" : ""}${localize("minutes", nextTrain.minutes)}`
+    : "--";
+
+  if (family === "accessoryInline") {
+    // Inline widgets only render a single line of text
+    w.addText(
+      nextTrain
+        ? `${closest.station.abbr} ${nextTrain.destination} ${countdown}`
+        : `${closest.station.abbr} ${localize("noTrainsShort")}`
+    );
+  } else if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+
+    const station = w.addText(closest.station.abbr);
+    station.font = getFont(10, true);
+    station.centerAlignText();
+
+    let minutesText = "--";
+    if (nextTrain) {
+      minutesText = nextTrain.scheduled
+        ? nextTrain.departureTime
+        : isLeaving(nextTrain) ? localize("now") : nextTrain.minutes;
+    }
+    const minutes = w.addText(minutesText);
+    minutes.font = getFont(18, true);
+    minutes.minimumScaleFactor = 0.5;
+    minutes.centerAlignText();
+
+    if (nextTrain && (nextTrain.scheduled || !isLeaving(nextTrain))) {
+      const unit = w.addText(localize(nextTrain.scheduled ? "scheduledShort" : "minuteUnit"));
+      unit.font = getFont(9);
+      unit.centerAlignText();
+    }
+  } else {
+    const station = w.addText(closest.station.name);
+    station.font = getFont(13, true);
+    station.lineLimit = 1;
+
+    if (nextTrain) {
+      const destination = w.addText(`${getLineIndicator(nextTrain.lineColor)} ${formatDestination(nextTrain)}`);
+      destination.font = getFont(12);
+      destination.lineLimit = 1;
+
+      const time = w.addText(`${formatNextTrainTime(nextTrain)} · ${formatCatchStatus(nextTrain)}`);
+      time.font = getFont(14, true);
+      time.minimumScaleFactor = 0.7;
+      time.lineLimit = 1;
+    } else {
+      const noTrains = w.addText(localize("noTrains"));
+      noTrains.font = getFont(12);
+    }
+
+    if (alerts.lastTrain) {
+      const lastTrain = w.addText(formatLastTrain(alerts.lastTrain));
+      lastTrain.font = getFont(10, true);
+      lastTrain.lineLimit = 1;
+    } else if (staleMinutes !== null) {
+      const staleNote = w.addText(formatStaleNote(staleMinutes));
+      staleNote.font = getFont(10);
+      staleNote.lineLimit = 1;
+    }
+  }
+
+  return w;
+}
+
+// Trip mode widget: upcoming trips with departure, arrival and transfers
+function createTripWidget(closest, trips, target, family, alerts) {
+  const w = new ListWidget();
+  const nextTrip = trips[0];
+
+  if (isAccessoryFamily(family)) {
+    const summary = nextTrip
+      ? `${formatTime(nextTrip.departureTime)} → ${formatTime(nextTrip.arrivalTime)}`
+      : localize("noTrips");
+    if (family === "accessoryInline") {
+      w.addText(`${target} ${summary}`);
+    } else {
+      if (family === "accessoryCircular") {
+        w.addAccessoryWidgetBackground = true;
+      }
+      const header = w.addText(`${closest.station.abbr} → ${target}`);
+      header.font = getFont(family === "accessoryCircular" ? 10 : 13, true);
+      header.minimumScaleFactor = 0.5;
+
+      const times = w.addText(summary);
+      times.font = getFont(12);
+      times.minimumScaleFactor = 0.5;
+    }
+    return w;
+  }
+
+  w.backgroundColor = ColorScheme.background;
+
+  const header = w.addText(localize("tripsTo", target));
+  header.textColor = ColorScheme.headerText;
+  header.font = getFont(16, true);
+  header.url = getStationUrl(closest.station.abbr);
+
+  w.addSpacer(4);
+
+  addStationInfo(w, closest);
+  addAlertRows(w, alerts, getAdvisoriesUrl(closest.station.abbr));
+
+  w.addSpacer(8);
+
+  const tripCount = TRIPS_PER_WIDGET[family] || TRIPS_PER_WIDGET.medium;
+  for (const trip of trips.slice(0, tripCount)) {
+    const tripStack = w.addStack();
+    tripStack.spacing = 4;
+
+    const times = tripStack.addText(
+      `${formatTime(trip.departureTime)} → ${formatTime(trip.arrivalTime)}`
+    );
+    times.textColor = ColorScheme.primaryText;
+    times.font = getFont(12, true);
+
+    const duration = tripStack.addText(localize("minutes", trip.durationMinutes));
+    duration.textColor = ColorScheme.accentBlue;
+    duration.font = getFont(12);
+
+    if (family !== "small") {
+      const transfers = w.addText(formatTransfers(trip));
+      transfers.textColor = ColorScheme.secondaryText;
+      transfers.font = getFont(10);
+      transfers.lineLimit = 1;
+    }
+
+    w.addSpacer(2);
+  }
+
+  if (trips.length === 0) {
+    const noTrips = w.addText(localize("noReachableTrips"));
+    noTrips.textColor = ColorScheme.secondaryText;
+    noTrips.font = getFont(12);
+  }
+
+  w.addSpacer();
+  addLastUpdated(w, null, getAdvisoriesUrl(closest.station.abbr));
+
+  return w;
+}
+
+// Table for a widget link's query parameters, from getStationUrl or
+// getAdvisoriesUrl: a station's board, one of its lines, or the advisories
+async function createLinkedTable(nearest, location, query) {
+  const linked = query.station ? await findLinkedStation(nearest, location, query.station) : nearest;
+  if (query.view === "advisories") {
+    return createAdvisoriesTable(linked, location);
+  }
+  if (query.line) {
+    return createLineTable(linked, query.line, location);
+  }
+  return createTable(linked, location);
+}
+
+// nearest with the linked station first, which may no longer be the closest
+// when the widget was tapped somewhere else. It's ranked first like a pinned
+// station but isn't one: the pinned station is already first in nearest.
+async function findLinkedStation(nearest, location, abbr) {
+  if (nearest[0].station.abbr === abbr) {
+    return nearest;
+  }
+  const linked = rankStations(await loadAllStations(), location, NEAREST_STATION_COUNT, abbr);
+  if (linked[0].station.abbr !== abbr) {
+    return nearest;
+  }
+  return [{ ...linked[0], pinned: false }, ...linked.slice(1)];
+}
+
+// Row that rebuilds the full board for the station shown
+function addBackToBoardRow(table, nearest, location) {
+  const backRow = new UITableRow();
+  backRow.addText(localize("backToBoard"));
+  backRow.backgroundColor = ColorScheme.rowBackground;
+  backRow.dismissOnSelect = false;
+  backRow.onSelect = async () => {
+    await rebuildTable(table, () => createTable(nearest, location, table));
+  };
+  table.addRow(backRow);
+}
+
+// Every upcoming train of one line at the station, opened from the line's
+// row in the widget. color is a departures key, e.g. "RedE" or "muni:N:0".
+async function createLineTable(nearest, color, location, table = new UITable()) {
+  const closest = nearest[0];
+  const agency = getStationAgency(closest.station);
+  const minutesToStation = getMinutesToStation(closest.distance);
+  const loaded = agency === BART_AGENCY
+    ? await loadDepartures(closest.station, location)
+    : await loadAgencyDepartures(closest.station);
+  const trains = classifyDepartures(loaded.departures, minutesToStation)[color] || [];
+
+  table.removeAllRows();
+  table.showSeparators = true;
+
+  const header = new UITableRow();
+  const lineName = agency === BART_AGENCY
+    ? formatLineName(color)
+    : trains.length > 0 ? trains[0].route : color.split(":")[1];
+  header.addText(`${lineName} · ${closest.station.name}`);
+  header.isHeader = true;
+  table.addRow(header);
+
+  addBackToBoardRow(table, nearest, location);
+
+  if (agency !== BART_AGENCY) {
+    addAgencyTableRows(table, { agency, closest, departures: { [color]: trains } });
+    return table;
+  }
+
+  const updateRow = new UITableRow();
+  updateRow.backgroundColor = ColorScheme.rowBackground;
+  const updateText = updateRow.addText(
+    loaded.staleMinutes !== null
+      ? formatStaleNote(loaded.staleMinutes)
+      : localize("lastUpdated", formatTime(new Date()))
+  );
+  if (loaded.staleMinutes !== null) {
+    updateText.titleColor = ColorScheme.warningText;
+  }
+  table.addRow(updateRow);
+
+  const reminders = await getPendingReminders();
+  for (const train of trains) {
+    addTrainRow(table, train, train === trains[0], closest, reminders);
+  }
+
+  if (trains.length === 0) {
+    const noTrainsRow = new UITableRow();
+    noTrainsRow.addText(localize("noTrains"));
+    table.addRow(noTrainsRow);
+  }
+
+  return table;
+}
+
+// All service advisories and every elevator outage in the system, opened from
+// the widget's alert rows and footer
+async function createAdvisoriesTable(nearest, location, table = new UITable()) {
+  const alerts = await loadAlerts(nearest[0].station);
+
+  table.removeAllRows();
+  table.showSeparators = true;
+
+  const header = new UITableRow();
+  header.addText(localize("advisoriesTitle"));
+  header.isHeader = true;
+  table.addRow(header);
+
+  addBackToBoardRow(table, nearest, location);
+
+  for (const advisory of alerts.advisories) {
+    const advisoryRow = new UITableRow();
+    advisoryRow.height = 80;
+    advisoryRow.addText(`⚠️ ${advisory.type}`, advisory.text);
+    table.addRow(advisoryRow);
+  }
+
+  for (const outage of alerts.elevatorOutages || []) {
+    const elevatorRow = new UITableRow();
+    elevatorRow.height = 60;
+    elevatorRow.addText(localize("elevatorOut"), outage);
+    table.addRow(elevatorRow);
+  }
+
+  if (alerts.elevatorOutages === null) {
+    const elevatorRow = new UITableRow();
+    elevatorRow.addText(localize("elevatorStatusUnavailable"));
+    table.addRow(elevatorRow);
+  } else if (alerts.advisories.length === 0 && alerts.elevatorOutages.length === 0) {
+    const noAdvisoriesRow = new UITableRow();
+    noAdvisoriesRow.addText(localize("noAdvisories"));
+    table.addRow(noAdvisoriesRow);
+  }
+
+  return table;
+}
+
+// Modify table view
+// nearest comes from findClosestStation; the first entry is the station shown.
+// Pass an existing table to rebuild it in place.
+async function createTable(nearest, location, table = new UITable()) {
+  const closest = nearest[0];
+  table.removeAllRows();
+  table.showSeparators = true;
+
+  // Station info
+  const agency = getStationAgency(closest.station);
+  const header = new UITableRow();
+  header.addText(getStationHeader(closest));
+  header.isHeader = true;
+  table.addRow(header);
+
+  const stationRow = new UITableRow();
+  const distanceInfo = formatDistanceAndTime(closest.distance);
+  stationRow.addText(closest.station.name);
+  stationRow.addText(`${distanceInfo.distance} (${distanceInfo.walkingTime})`);
+  table.addRow(stationRow);
+
+  if (closest.station.address) {
+    const addressRow = new UITableRow();
+    addressRow.addText(closest.station.address);
+    table.addRow(addressRow);
+  }
+
+  // Other agencies' stops list their departures by route
+  if (agency !== BART_AGENCY) {
+    const loaded = await loadAgencyDepartures(closest.station);
+    addAgencyTableRows(table, {
+      agency,
+      closest,
+      departures: classifyDepartures(loaded.departures, getMinutesToStation(closest.distance)),
+    });
+    addAgencySectionRows(table, await loadAgencySections(location, closest.station), location);
+    addProfileRow(table, location);
+    addStationSwitcher(table, nearest, location);
+    return table;
+  }
+
+  // Calculate distance from SF for direction determination (but don't display)
+  const distanceFromSF = calculateDistanceFromSF(
+    location.latitude,
+    location.longitude
+  );
+
+  // Departures
+  const loaded = await loadDepartures(closest.station, location);
+  const departures = classifyDepartures(loaded.departures, getMinutesToStation(closest.distance));
+  const staleMinutes = loaded.staleMinutes;
+
+  // Last updated timestamp, or the age of cached departures when offline
+  const now = new Date();
+  const updateRow = new UITableRow();
+  updateRow.backgroundColor = ColorScheme.rowBackground;
+  const updateText = updateRow.addText(
+    staleMinutes !== null
+      ? formatStaleNote(staleMinutes)
+      : localize("lastUpdated", formatTime(now))
+  );
+  if (staleMinutes !== null) {
+    updateText.titleColor = ColorScheme.warningText;
+  }
+  table.addRow(updateRow);
+
+  // Last train of the night, or the end of service
+  const lastTrain = await loadLastTrain(closest.station, location);
+  if (lastTrain) {
+    const lastTrainRow = new UITableRow();
+    lastTrainRow.backgroundColor = ColorScheme.rowBackground;
+    const lastTrainText = lastTrainRow.addText(formatLastTrain(lastTrain), formatDestination(lastTrain.train));
+    lastTrainText.titleColor = ColorScheme.warningText;
+    lastTrainText.titleFont = getFont(15, true);
+    table.addRow(lastTrainRow);
+  }
+
+  // Train to the next meeting in the calendar
+  const meeting = await loadMeeting(closest);
+  if (meeting) {
+    const meetingRow = new UITableRow();
+    meetingRow.height = 60;
+    const meetingText = meetingRow.addText(`📅 ${formatMeeting(meeting)}`, formatMeetingTrip(meeting));
+    meetingText.titleColor = meeting.trip ? ColorScheme.accentBlue : ColorScheme.warningText;
+    table.addRow(meetingRow);
+  }
+
+  // Service advisories and elevator outages at this station
+  const alerts = await loadAlerts(closest.station);
+  for (const advisory of alerts.advisories) {
+    const advisoryRow = new UITableRow();
+    advisoryRow.height = 80;
+    advisoryRow.addText(`⚠️ ${advisory.type}`, advisory.text);
+    table.addRow(advisoryRow);
+  }
+
+  for (const outage of alerts.stationElevators || []) {
+    const elevatorRow = new UITableRow();
+    elevatorRow.height = 60;
+    elevatorRow.addText(localize("elevatorOut"), outage);
+    table.addRow(elevatorRow);
+  }
+
+  // Unknown status is always shown here, so it isn't mistaken for no outages
+  if (alerts.stationElevators === null) {
+    const elevatorRow = new UITableRow();
+    elevatorRow.addText(localize("elevatorStatusUnavailable"));
+    elevatorRow.textColor = ColorScheme.warningText;
+    table.addRow(elevatorRow);
+  } else if (alerts.stationElevators.length === 0 && SETTINGS.elevatorStatus) {
+    const elevatorRow = new UITableRow();
+    elevatorRow.addText(localize("allElevatorsInService"));
+    table.addRow(elevatorRow);
+  }
+
+  await addFareRow(table, closest, location);
+
+  // Trips to the target station in trip mode
+  const target = getTargetStation(closest.station.abbr);
+  if (SETTINGS.mode === "trip" && target) {
+    const tripsHeader = new UITableRow();
+    tripsHeader.addText(localize("tripsTo", target));
+    tripsHeader.backgroundColor = ColorScheme.rowBackground;
+    table.addRow(tripsHeader);
+
+    const trips = await loadTrips(closest, target);
+    for (const trip of trips) {
+      const tripRow = new UITableRow();
+      tripRow.height = 60;
+      tripRow.addText(
+        `${formatTime(trip.departureTime)} → ${formatTime(trip.arrivalTime)}`,
+        formatTransfers(trip)
+      );
+      tripRow.addText(localize("minutes", trip.durationMinutes));
+      table.addRow(tripRow);
+    }
+
+    if (trips.length === 0) {
+      const noTripsRow = new UITableRow();
+      noTripsRow.addText(localize("noReachableTrips"));
+      table.addRow(noTripsRow);
+    }
+  }
+
+  // Trains with a pending reminder are marked with a bell
+  const reminders = await getPendingReminders();
+
+  // Trains by platform, then by line
+  let hasTrains = false;
+  const platforms = Core.groupByPlatform(departures);
+  for (const { platform, departures: platformDepartures } of platforms) {
+    // Only scheduled trains, or no platforms announced: no platform headers
+    if (platforms.length > 1 || platform !== null) {
+      const platformHeader = new UITableRow();
+      const platformTitle = platformHeader.addText(
+        platform === null ? localize("platformUnknown") : localize("platform", platform)
+      );
+      platformTitle.titleFont = getFont(15, true);
+      table.addRow(platformHeader);
+    }
+
+    for (const [color, trains] of Object.entries(platformDepartures)) {
+      if (trains.length > 0) {
+        hasTrains = true;
+        const lineHeader = new UITableRow();
+        const indicator = lineHeader.addText(getLineIndicator(color));
+        indicator.titleColor = getLineIndicatorColor(color);
+        indicator.widthWeight = 10;
+        const lineTitle = lineHeader.addText(formatLineName(color));
+        lineTitle.widthWeight = 90;
+        lineHeader.backgroundColor = ColorScheme.rowBackground;
+        if (SETTINGS.accessible) {
+          // Header row in the line color with contrasting text
+          lineHeader.backgroundColor = getLineIndicatorColor(color);
+          indicator.titleColor = getLineBadgeTextColor(color);
+          lineTitle.titleColor = getLineBadgeTextColor(color);
+        }
+        table.addRow(lineHeader);
+
+        for (const train of trains.slice(0, SETTINGS.maxTrains || TRAINS_PER_LINE.medium)) {
+          addTrainRow(table, train, train === trains[0], closest, reminders);
+        }
+      }
+    }
+  }
+
+  // Show message if no trains in desired direction
+  if (!hasTrains) {
+    const noTrainsRow = new UITableRow();
+    noTrainsRow.addText(localize("noTrains"));
+    noTrainsRow.textColor = Color.gray;
+    table.addRow(noTrainsRow);
+  }
 
-  // Line colors for light mode and dark mode
-  lines: {
-    // Eastbound colors
-    RedE: {
-      light: new Color("#ff3b30"), // Bright red
-      dark: new Color("#ff453a"), // Slightly lighter red
-    },
-    YellowE: {
-      light: new Color("#ffd60a"), // Bright yellow
-      dark: new Color("#ffd60a"), // Same yellow (good contrast in both modes)
-    },
-    OrangeE: {
-      light: new Color("#ff9500"), // Bright orange
-      dark: new Color("#ff9f0a"), // Slightly lighter orange
-    },
-    GreenE: {
-      light: new Color("#32d74b"), // Bright green
-      dark: new Color("#30d158"), // Slightly lighter green
-    },
+  addAgencySectionRows(table, await loadAgencySections(location, closest.station), location);
 
-    // Westbound colors
-    RedW: {
-      light: new Color("#ff6b6b"), // Soft red
-      dark: new Color("#ff6961"), // Slightly lighter soft red
-    },
-    YellowW: {
-      light: new Color("#fff06b"), // Soft yellow
-      dark: new Color("#ffe580"), // Slightly lighter soft yellow
-    },
-    OrangeW: {
-      light: new Color("#ffb74d"), // Soft orange
-      dark: new Color("#ffb340"), // Slightly lighter soft orange
-    },
-    GreenW: {
-      light: new Color("#7ed321"), // Soft green
-      dark: new Color("#30db5b"), // Slightly lighter soft green
-    },
-  },
-};
+  addReliabilityRow(table, closest, location);
+  addProfileRow(table, location);
+  addStationSwitcher(table, nearest, location);
 
-async function loadStationList() {
-  try {
-    const url = `${BART_API_BASE}/stn.aspx?cmd=stns&key=${BART_API_KEY}&json=y`;
-    const req = new Request(url);
-    const json = await req.loadJSON();
-    
-    // Validate response structure
-    if (!json || !json.root || !json.root.stations || !json.root.stations.station) {
-      console.log('Invalid API response structure:', json);
-      throw new Error('Invalid BART API response structure');
-    }
-    
-    return json.root.stations.station;
-  } catch (error) {
-    console.log('Error loading station list:', error);
-    throw error;
-  }
-}
+  const remindersRow = new UITableRow();
+  remindersRow.backgroundColor = ColorScheme.rowBackground;
+  remindersRow.addText(localize("trainRemindersRow", reminders.length));
+  remindersRow.dismissOnSelect = false;
+  remindersRow.onSelect = async () => {
+    await manageReminders();
+  };
+  table.addRow(remindersRow);
 
-function calculateDistanceFromSF(latitude, longitude) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = ((latitude - SF_LATITUDE) * Math.PI) / 180;
-  const dLon = ((longitude - SF_LONGITUDE) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((SF_LATITUDE * Math.PI) / 180) *
-      Math.cos((latitude * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in miles
+  return table;
 }
 
-function isEastOfSFBorder(latitude, longitude) {
-  const distanceFromSF = calculateDistanceFromSF(latitude, longitude);
-  if (distanceFromSF <= SF_BORDER_MILES) {
-    return false; // Within SF border, show westbound
+// A train's row: destination with any delay, time, whether you can make it,
+// cars, direction and bikes. isNextTrain shows the minutes as well as the
+// time. Tap to be reminded when to leave.
+function addTrainRow(table, train, isNextTrain, closest, reminders) {
+  const trainRow = new UITableRow();
+  const destinationText = train.transfer
+    ? localize("withTransfer", train.destination, train.transfer)
+    : train.destination;
+  const delayText = !train.cancelled && train.delay > 0 ? localize("delayedBy", train.delay) : null;
+  const destination = delayText
+    ? trainRow.addText(destinationText, delayText)
+    : trainRow.addText(train.cancelled ? strikeThrough(destinationText) : destinationText);
+  if (delayText) {
+    destination.subtitleColor = ColorScheme.warningText;
+    trainRow.height = 60;
+  }
+  const time = trainRow.addText(isNextTrain ? formatNextTrainTime(train) : train.departureTime);
+  // Dim trains that can't be caught
+  if (["missed", "cancelled"].includes(train.catchStatus)) {
+    destination.titleColor = ColorScheme.secondaryText;
+    time.titleColor = ColorScheme.secondaryText;
+  }
+  const hasReminder = reminders.some(
+    (reminder) =>
+      reminder.userInfo.station === closest.station.abbr &&
+      findReminderTrain([train], reminder.userInfo) !== null
+  );
+  const catchStatus = trainRow.addText(
+    `${hasReminder ? "🔔 " : ""}${formatCatchStatus(train)}`
+  );
+  catchStatus.titleColor = getCatchStatusColor(train);
+  trainRow.addText(train.scheduled ? localize("scheduled") : localize("cars", train.length));
+  trainRow.addText(formatDirection(train.direction));
+  trainRow.addText(train.bikes === null ? "" : train.bikes ? "🚲" : "🚳");
+
+  // Tap a train to be reminded when to leave
+  if (!train.cancelled) {
+    trainRow.dismissOnSelect = false;
+    trainRow.onSelect = async () => {
+      await promptReminder(train, closest);
+    };
   }
-  return longitude > SF_LONGITUDE; // Outside border, use longitude
+  table.addRow(trainRow);
 }
 
-async function findClosestStation(currentLocation) {
-  const stations = await loadStationList();
-  let closestStation = null;
-  let minDistance = Number.POSITIVE_INFINITY;
+// Fare to the picked or target station with its discounts. Tap to pick another
+// destination from the station search.
+async function addFareRow(table, closest, location) {
+  const origin = closest.station.abbr;
+  const destination = getFareDestination(origin);
+  const fareRow = new UITableRow();
 
-  for (const station of stations) {
-    const distance = calculateDistance(
-      currentLocation.latitude,
-      currentLocation.longitude,
-      Number.parseFloat(station.gtfs_latitude),
-      Number.parseFloat(station.gtfs_longitude)
+  if (destination && destination !== origin) {
+    const fare = await loadFare(origin, destination);
+    const clipperFare = fare && formatFare(fare, "clipper");
+    fareRow.height = 60;
+    fareRow.addText(
+      localize("fareTo", await getStationName(destination)),
+      fare ? formatFareDetails(fare) : localize("fareUnavailable")
     );
-
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestStation = station;
-    }
+    const amount = fareRow.addText(
+      clipperFare ? `${localize("fareTypes").clipper} ${clipperFare}` : "--",
+      localize("changeFareDestination")
+    );
+    amount.rightAligned();
+  } else {
+    fareRow.addText(localize("checkFare"));
   }
 
-  return {
-    station: closestStation,
-    distance: minDistance,
+  fareRow.dismissOnSelect = false;
+  fareRow.onSelect = async () => {
+    await rebuildTable(table, () =>
+      searchStations(location, table, async (station) => {
+        setFareDestination(station.abbr);
+        await showBoard(location, table);
+      })
+    );
   };
+  table.addRow(fareRow);
 }
 
-// Add back the calculateDistance function for finding nearest station
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
+// Nearby stops of other agencies, under their own names. Tap a stop's name to
+// pin it and show its departures first.
+function addAgencySectionRows(table, sections, location) {
+  for (const section of sections) {
+    const sectionHeader = new UITableRow();
+    const sectionTitle = sectionHeader.addText(
+      `● ${section.agency.name}`,
+      `${section.closest.station.name} · ${formatDistanceAndTime(section.closest.distance).distance}`
+    );
+    sectionTitle.titleColor = new Color(section.agency.color);
+    sectionHeader.backgroundColor = ColorScheme.rowBackground;
+    sectionHeader.height = 60;
+    sectionHeader.dismissOnSelect = false;
+    sectionHeader.onSelect = async () => {
+      await showStation(section.closest.station.abbr, location, table);
+    };
+    table.addRow(sectionHeader);
+    addAgencyTableRows(table, section);
+  }
 }
 
-async function getStationDepartures(station) {
-  try {
-    const url = `${BART_API_BASE}/etd.aspx?cmd=etd&orig=${station.abbr}&key=${BART_API_KEY}&json=y`;
-    const req = new Request(url);
-    const json = await req.loadJSON();
-    
-    // Validate response structure
-    if (!json || !json.root || !json.root.station || !json.root.station[0] || !json.root.station[0].etd) {
-      console.log('Invalid API response structure:', json);
-      throw new Error('Invalid BART API response structure');
-    }
-    
-    return json.root.station[0].etd;
-  } catch (error) {
-    console.log('Error getting station departures:', error);
-    throw error;
+// Another agency's departures: a row per route and direction in the route's
+// color, then its departures with when to leave
+function addAgencyTableRows(table, section) {
+  const updateRow = new UITableRow();
+  updateRow.backgroundColor = ColorScheme.rowBackground;
+  updateRow.addText(localize("lastUpdated", formatTime(new Date())));
+  table.addRow(updateRow);
+
+  const lines = Object.values(section.departures)
+    .filter((trains) => trains.length > 0)
+    .sort((a, b) => a[0].actualDepartureTime - b[0].actualDepartureTime);
+  for (const trains of lines) {
+    const lineHeader = new UITableRow();
+    const route = lineHeader.addText(`● ${trains[0].route}`);
+    route.titleColor = new Color(trains[0].hexcolor || section.agency.color);
+    lineHeader.backgroundColor = ColorScheme.rowBackground;
+    table.addRow(lineHeader);
+
+    for (const train of trains.slice(0, SETTINGS.maxTrains || TRAINS_PER_LINE.medium)) {
+      const trainRow = new UITableRow();
+      const destination = trainRow.addText(train.cancelled ? strikeThrough(train.destination) : train.destination);
+      const time = trainRow.addText(train === trains[0] ? formatNextTrainTime(train) : train.departureTime);
+      if (["missed", "cancelled"].includes(train.catchStatus)) {
+        destination.titleColor = ColorScheme.secondaryText;
+        time.titleColor = ColorScheme.secondaryText;
+      }
+      const catchStatus = trainRow.addText(formatCatchStatus(train));
+      catchStatus.titleColor = getCatchStatusColor(train);
+      table.addRow(trainRow);
+    }
+  }
+
+  if (lines.length === 0) {
+    const noDeparturesRow = new UITableRow();
+    noDeparturesRow.addText(localize("noDepartures"));
+    table.addRow(noDeparturesRow);
   }
 }
 
-function getLineColor(destination, direction) {
-  // BART line color mapping with direction
-  const lineColors = {
-    // Eastbound trains
-    ANTC: {
-      North: "YellowE", // Antioch - Yellow Line Northbound (treated as East)
-      South: "YellowW", // Antioch - Yellow Line Southbound (treated as West)
-    },
-    PITT: {
-      North: "YellowE", // Pittsburg/Bay Point - Yellow Line Northbound (treated as East)
-      South: "YellowW", // Pittsburg/Bay Point - Yellow Line Southbound (treated as West)
-    },
-    SFIA: {
-      South: "YellowW", // SFO Airport - Yellow Line Southbound (treated as West)
-      North: "YellowE", // SFO Airport - Yellow Line Northbound (treated as East)
-    },
-    MLBR: {
-      South: "RedW", // Millbrae - Red Line Southbound (treated as West)
-      North: "RedE", // Millbrae - Red Line Northbound (treated as East)
-    },
-    RICH: {
-      North: "RedE", // Richmond - Red Line Northbound (treated as East)
-      South: "OrangeW", // Richmond - Orange Line Southbound (treated as West)
-    },
-    BERY: {
-      South: "GreenE", // Berryessa - Green Line Southbound (treated as East)
-      North: "OrangeW", // Berryessa - Orange Line Northbound (treated as West)
-    },
-    DALY: {
-      South: "GreenW", // Daly City - Green Line Southbound (treated as West)
-      North: "GreenE", // Daly City - Green Line Northbound (treated as East)
-    },
-  };
+// Opens the reliability of the station's trains, once any have been recorded
+function addReliabilityRow(table, closest, location) {
+  const history = readHistory();
+  if (!history[closest.station.abbr]) {
+    return;
+  }
 
-  return lineColors[destination]?.[direction] || "Unknown";
+  const reliabilityRow = new UITableRow();
+  reliabilityRow.addText(localize("reliabilityRow"));
+  reliabilityRow.dismissOnSelect = false;
+  reliabilityRow.onSelect = async () => {
+    await rebuildTable(table, () => showReliability(history, closest, location, table));
+  };
+  table.addRow(reliabilityRow);
 }
 
-function formatDepartures(etd) {
-  const departures = {
-    RedE: [], // Eastbound Red Line
-    RedW: [], // Westbound Red Line
-    YellowE: [], // Eastbound Yellow Line
-    YellowW: [], // Westbound Yellow Line
-    OrangeE: [], // Eastbound Orange Line
-    OrangeW: [], // Westbound Orange Line
-    GreenE: [], // Eastbound Green Line
-    GreenW: [], // Westbound Green Line
+// How often each scheduled train at the station ran late, by how much on
+// average and how often its estimate jumped, in timetable order
+async function showReliability(history, closest, location, table) {
+  const summaries = Core.summarizeDepartureHistory(history, closest.station.abbr, {
+    minDays: HISTORY_MIN_DAYS,
+    dayStartHour: SERVICE_DAY_START_HOUR,
+  });
+
+  table.removeAllRows();
+
+  const header = new UITableRow();
+  header.addText(localize("reliabilityTitle", closest.station.name));
+  header.isHeader = true;
+  table.addRow(header);
+
+  const backRow = new UITableRow();
+  backRow.addText(localize("back"));
+  backRow.backgroundColor = ColorScheme.rowBackground;
+  backRow.dismissOnSelect = false;
+  backRow.onSelect = async () => {
+    await showBoard(location, table);
   };
+  table.addRow(backRow);
 
-  const now = new Date();
-  
-  for (const destination of etd) {
-    for (const estimate of destination.estimate) {
-      const lineColor = getLineColor(
-        destination.abbreviation,
-        estimate.direction
-      );
-      if (lineColor in departures) {
-        const departureTime = new Date(now.getTime() + (Number.parseInt(estimate.minutes) * 60000));
-        departures[lineColor].push({
-          destination: destination.destination,
-          minutes: estimate.minutes,
-          departureTime: formatLastUpdated(departureTime),
-          actualDepartureTime: departureTime, // Store actual Date object for sorting
-          length: estimate.length,
-          direction: estimate.direction,
-        });
-      }
+  for (const summary of summaries) {
+    const [hours, minutes] = summary.slot.split(":").map(Number);
+    const slotTime = new Date();
+    slotTime.setHours(hours, minutes, 0, 0);
+
+    const trainRow = new UITableRow();
+    trainRow.height = 60;
+    const indicator = trainRow.addText(getLineIndicator(summary.line));
+    indicator.titleColor = getLineIndicatorColor(summary.line);
+    indicator.widthWeight = 10;
+    const train = trainRow.addText(
+      localize("reliabilityTrain", formatTime(slotTime), await getStationName(summary.destination)),
+      localize("reliabilityDetails", summary.averageDelay, summary.jumpDays)
+    );
+    train.widthWeight = 60;
+    const late = trainRow.addText(localize("reliabilityLate", summary.lateDays, summary.days));
+    late.widthWeight = 30;
+    late.rightAligned();
+    if (summary.lateDays * 2 > summary.days) {
+      late.titleColor = ColorScheme.warningText;
     }
+    table.addRow(trainRow);
   }
 
-  // Sort each line's departures by time
-  for (const line in departures) {
-    departures[line].sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
+  if (summaries.length === 0) {
+    const emptyRow = new UITableRow();
+    emptyRow.height = 60;
+    emptyRow.addText(localize("reliabilityEmpty", HISTORY_MIN_DAYS));
+    table.addRow(emptyRow);
   }
 
-  return departures;
+  table.reload();
 }
 
-function formatLastUpdated(date) {
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  const ampm = hours >= 12 ? "PM" : "AM";
-  const displayHours = hours === 0 ? 12 : (hours > 12 ? hours % 12 : hours);
-  const displayMinutes = minutes < 10 ? `0${minutes}` : minutes;
-  return `${displayHours}:${displayMinutes} ${ampm}`;
-}
+// Commute profile in effect. Tap to pick another profile, or none, until the
+// end of the day, or to go back to picking one automatically.
+function addProfileRow(table, location) {
+  if (SETTINGS.profiles.length === 0) {
+    return;
+  }
 
-function filterRoutesByDirection(departures, latitude, longitude) {
-  const isEast = isEastOfSFBorder(latitude, longitude);
-  const filteredDepartures = {};
+  const profileRow = new UITableRow();
+  profileRow.height = 60;
+  profileRow.addText(
+    localize("commuteRow", activeProfile ? activeProfile.name : localize("commuteNone")),
+    localize(getProfileOverride() ? "commuteOverridden" : "commuteAutomatic")
+  );
+  profileRow.dismissOnSelect = false;
+  profileRow.onSelect = async () => {
+    const alert = new Alert();
+    alert.title = localize("commuteTitle");
+    alert.message = localize("commuteMessage");
+    alert.addAction(localize("commuteAuto"));
+    for (const profile of SETTINGS.profiles) {
+      alert.addAction(profile.name);
+    }
+    alert.addAction(localize("commuteNone"));
+    alert.addCancelAction(localize("cancel"));
 
-  // Get all trains and their line colors
-  const allTrains = [];
-  for (const [color, trains] of Object.entries(departures)) {
-    for (const train of trains) {
-      // Determine if the train is eastbound based on its direction
-      const isTrainEastbound = train.direction === "South" || train.direction === "East";
-      
-      // Only add trains going in the correct direction based on location
-      if ((isEast && isTrainEastbound) || (!isEast && !isTrainEastbound)) {
-        allTrains.push({...train, lineColor: color});
-      }
+    const choice = await alert.presentAlert();
+    if (choice === -1) {
+      return;
     }
-  }
+    const profiles = SETTINGS.profiles;
+    setProfileOverride(
+      choice === 0 ? undefined : choice <= profiles.length ? profiles[choice - 1].name : null
+    );
+    await rebuildTable(table, async () => {
+      activeProfile = await resolveCommuteProfile(location);
+      const nearest = await findClosestStation(location, NEAREST_STATION_COUNT);
+      await createTable(nearest, location, table);
+    });
+  };
+  table.addRow(profileRow);
+}
 
-  // Sort all trains by departure time
-  allTrains.sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
+// Nearby stations, search and clearing the pin, for picking the station to show
+function addStationSwitcher(table, nearest, location) {
+  const switcherHeader = new UITableRow();
+  switcherHeader.addText(localize("nearbyStations"));
+  switcherHeader.backgroundColor = ColorScheme.rowBackground;
+  table.addRow(switcherHeader);
 
-  // Reorganize back into line colors
-  for (const train of allTrains) {
-    const color = train.lineColor;
-    if (!filteredDepartures[color]) {
-      filteredDepartures[color] = [];
-    }
-    filteredDepartures[color].push(train);
+  for (const [index, entry] of nearest.entries()) {
+    const stationRow = new UITableRow();
+    const distanceInfo = formatDistanceAndTime(entry.distance);
+    stationRow.addText(`${index === 0 ? "✓ " : ""}${entry.station.name}`);
+    stationRow.addText(`${distanceInfo.distance} (${distanceInfo.walkingTime})`);
+    stationRow.dismissOnSelect = false;
+    stationRow.onSelect = async () => {
+      await showStation(entry.station.abbr, location, table);
+    };
+    table.addRow(stationRow);
   }
 
-  return filteredDepartures;
+  const searchRow = new UITableRow();
+  searchRow.addText(localize("searchAllStations"));
+  searchRow.dismissOnSelect = false;
+  searchRow.onSelect = async () => {
+    await rebuildTable(table, () => searchStations(location, table));
+  };
+  table.addRow(searchRow);
+
+  if (getPinnedStation()) {
+    const clearRow = new UITableRow();
+    clearRow.addText(localize("clearPinnedStation"));
+    clearRow.dismissOnSelect = false;
+    clearRow.onSelect = async () => {
+      await showStation(null, location, table);
+    };
+    table.addRow(clearRow);
+  }
 }
 
-// Helper function to format distance and walking time
-function formatDistanceAndTime(distanceKm) {
-  const distanceMiles = distanceKm * 0.621371; // Convert km to miles
-  const walkingTimeMinutes = Math.round(distanceKm * 12); // Assume 5km/h walking speed (12 min per km)
-  return {
-    distance: `${distanceMiles.toFixed(1)} mi`,
-    walkingTime: `${walkingTimeMinutes} min walk`
-  };
+// Pin a station (or clear the pin with null) and rebuild the table for it.
+// The previous pin comes back when the station's board fails to load.
+async function showStation(abbr, location, table) {
+  await rebuildTable(table, async () => {
+    const previous = getPinnedStation();
+    setPinnedStation(abbr);
+    try {
+      const nearest = await findClosestStation(location, NEAREST_STATION_COUNT);
+      await createTable(nearest, location, table);
+    } catch (error) {
+      setPinnedStation(previous);
+      throw error;
+    }
+  });
 }
 
-// Store and retrieve last known location
-function storeLastLocation(location) {
-  const locationData = {
-    latitude: location.latitude,
-    longitude: location.longitude,
-    timestamp: new Date().getTime()
-  };
-  Keychain.set('lastKnownLocation', JSON.stringify(locationData));
+// Board for the closest station, or the pinned one, rebuilt in place
+async function showBoard(location, table) {
+  await rebuildTable(table, async () => {
+    const nearest = await findClosestStation(location, NEAREST_STATION_COUNT);
+    await createTable(nearest, location, table);
+  });
 }
 
-function getLastLocation() {
+// Rebuild the table with build(). When that fails partway, the error replaces
+// the half-built rows, with a row to try again.
+async function rebuildTable(table, build) {
   try {
-    const locationData = Keychain.get('lastKnownLocation');
-    if (locationData) {
-      return JSON.parse(locationData);
-    }
+    await build();
   } catch (error) {
-    console.log('Error retrieving last location:', error);
+    console.log('Error rebuilding table:', error);
+    if (await presentErrorAlert(error)) {
+      return rebuildTable(table, build);
+    }
+    const state = getErrorState(error);
+    table.removeAllRows();
+    const errorRow = new UITableRow();
+    errorRow.height = 60;
+    const errorText = errorRow.addText(state.title, state.hint);
+    errorText.titleColor = ColorScheme.warningText;
+    errorRow.dismissOnSelect = false;
+    errorRow.onSelect = async () => {
+      await rebuildTable(table, build);
+    };
+    table.addRow(errorRow);
   }
-  return null;
+  table.reload();
 }
 
-// Create widget
-async function createWidget(closest, location) {
-  const w = new ListWidget();
-  w.backgroundColor = ColorScheme.background;
+// Search all stations by name or abbreviation and list the matches. Picking
+// one shows that station, or calls onPick(station) when given.
+async function searchStations(location, table, onPick = null) {
+  const alert = new Alert();
+  alert.title = localize("searchTitle");
+  alert.message = localize("searchMessage");
+  alert.addTextField(localize("searchPlaceholder"));
+  alert.addAction(localize("search"));
+  alert.addCancelAction(localize("cancel"));
+  if (await alert.presentAlert() === -1) {
+    return;
+  }
 
-  // Set refresh interval
-  const refreshDate = new Date();
-  refreshDate.setMinutes(refreshDate.getMinutes() + REFRESH_INTERVAL_MINUTES);
-  w.refreshAfterDate = refreshDate;
+  const query = alert.textFieldValue(0).trim().toLowerCase();
+  const stations = (await loadStationList())
+    .filter(
+      (station) =>
+        station.name.toLowerCase().includes(query) ||
+        station.abbr.toLowerCase().includes(query)
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
 
-  // Station header
-  const header = w.addText("Nearest BART Station");
-  header.textColor = ColorScheme.headerText;
-  header.font = Font.boldSystemFont(16);
+  table.removeAllRows();
 
-  w.addSpacer(4);
+  const header = new UITableRow();
+  header.addText(query ? localize("stationsMatching", query) : localize("allStations"));
+  header.isHeader = true;
+  table.addRow(header);
 
-  const stationName = w.addText(closest.station.name);
-  stationName.textColor = ColorScheme.primaryText;
-  stationName.font = Font.systemFont(14);
+  const backRow = new UITableRow();
+  backRow.addText(localize("back"));
+  backRow.backgroundColor = ColorScheme.rowBackground;
+  backRow.dismissOnSelect = false;
+  backRow.onSelect = async () => {
+    await showBoard(location, table);
+  };
+  table.addRow(backRow);
 
-  const distanceInfo = formatDistanceAndTime(closest.distance);
-  const distanceStack = w.addStack();
-  distanceStack.spacing = 4;
+  for (const station of stations) {
+    const stationRow = new UITableRow();
+    stationRow.addText(station.name);
+    stationRow.addText(station.abbr);
+    stationRow.dismissOnSelect = false;
+    stationRow.onSelect = async () => {
+      if (onPick) {
+        await onPick(station);
+      } else {
+        await showStation(station.abbr, location, table);
+      }
+    };
+    table.addRow(stationRow);
+  }
 
-  const distanceText = distanceStack.addText(distanceInfo.distance);
-  distanceText.textColor = ColorScheme.accentBlue;
-  distanceText.font = Font.systemFont(12);
+  if (stations.length === 0) {
+    const noResultsRow = new UITableRow();
+    noResultsRow.addText(localize("noMatchingStations"));
+    table.addRow(noResultsRow);
+  }
 
-  const bulletPoint = distanceStack.addText("•");
-  bulletPoint.textColor = ColorScheme.secondaryText;
-  bulletPoint.font = Font.systemFont(12);
+  table.reload();
+}
 
-  const walkingText = distanceStack.addText(distanceInfo.walkingTime);
-  walkingText.textColor = ColorScheme.secondaryText;
-  walkingText.font = Font.systemFont(12);
+// Siri and Shortcuts output: a spoken summary plus the departures (or trips in
+// trip mode) as a dictionary Shortcuts can read
+async function createShortcutOutput(closest, location) {
+  const station = closest.station;
+  const isBart = getStationAgency(station) === BART_AGENCY;
+  const output = {
+    summary: "",
+    station: {
+      abbr: station.abbr,
+      name: station.name,
+      agency: getStationAgency(station).name,
+      distanceKm: Math.round(closest.distance * 100) / 100,
+      walkingMinutes: getMinutesToStation(closest.distance),
+    },
+    profile: activeProfile
+      ? { name: activeProfile.name, origin: activeProfile.origin, destination: activeProfile.destination }
+      : null,
+    updated: new Date().toISOString(),
+  };
 
-  // Direction indicator
-  const distanceFromSF = calculateDistanceFromSF(
-    location.latitude,
-    location.longitude
-  );
+  const target = getTargetStation(station.abbr);
+  if (SETTINGS.mode === "trip" && target && isBart) {
+    const trips = await loadTrips(closest, target);
+    const nextTrip = trips[0];
+    output.summary = nextTrip
+      ? localize(
+        "spokenNextTrip",
+        target,
+        station.name,
+        formatTime(nextTrip.departureTime),
+        formatTime(nextTrip.arrivalTime)
+      )
+      : localize("spokenNoTrips", target, station.name);
+    output.trips = trips.map((trip) => ({
+      departureTime: trip.departureTime.toISOString(),
+      arrivalTime: trip.arrivalTime.toISOString(),
+      durationMinutes: trip.durationMinutes,
+      transfers: trip.transfers,
+    }));
+    return output;
+  }
 
-  w.addSpacer(8);
+  const loaded = isBart ? await loadDepartures(station, location) : await loadAgencyDepartures(station);
+  const departures = classifyDepartures(loaded.departures, getMinutesToStation(closest.distance));
+  const trains = Object.values(departures)
+    .flat()
+    .sort((a, b) => a.actualDepartureTime - b.actualDepartureTime);
 
-  // Get real-time departures
-  const etd = await getStationDepartures(closest.station);
-  const allDepartures = formatDepartures(etd);
-  const departures = filterRoutesByDirection(
-    allDepartures,
-    location.latitude,
-    location.longitude
+  output.summary = formatSpokenSummary(
+    station,
+    trains.filter((train) => !["missed", "cancelled"].includes(train.catchStatus)),
+    loaded.staleMinutes
   );
+  output.staleMinutes = loaded.staleMinutes;
 
-  let hasTrains = false;
-  for (const [color, trains] of Object.entries(departures)) {
-    if (trains.length > 0) {
-      hasTrains = true;
-      const lineStack = w.addStack();
-      lineStack.spacing = 4;
-
-      // Line indicator with direction
-      const isEastbound = color.endsWith("E");
-      const indicator = lineStack.addText(isEastbound ? "→●" : "●←");
-      indicator.textColor = Color.dynamic(
-        ColorScheme.lines[color].light,
-        ColorScheme.lines[color].dark
-      );
-      indicator.font = Font.boldSystemFont(12);
-
-      // Next train info
-      const nextTrain = trains[0];
-      const trainInfo = lineStack.addText(
-        `${nextTrain.destination}: ${nextTrain.minutes === "0" || Number.isNaN(nextTrain.minutes) ? "Leaving" : `${nextTrain.minutes} min (${nextTrain.departureTime})`}`
-      );
-      trainInfo.textColor = ColorScheme.primaryText;
-      trainInfo.font = Font.systemFont(12);
-
-      if (trains.length > 1) {
-        const nextTrains = lineStack.addText(
-          ` +${trains
-            .slice(1, 3)
-            .map((t) => t.departureTime)
-            .join(", ")}`
-        );
-        nextTrains.textColor = ColorScheme.secondaryText;
-        nextTrains.font = Font.systemFont(10);
-      }
-
-      w.addSpacer(2);
-    }
+  const lastTrain = isBart ? await loadLastTrain(station, location) : null;
+  if (lastTrain) {
+    output.summary += `${SETTINGS.language === "zh" ? "" : " "}${lastTrain.ended
+      ? localize("spokenNoMoreService")
+      : localize("spokenLastTrain", lastTrain.train.departureTime)}`;
+    output.lastTrain = {
+      destination: formatDestination(lastTrain.train),
+      departureTime: new Date(lastTrain.train.actualDepartureTime).toISOString(),
+      minutes: lastTrain.ended ? null : lastTrain.minutes,
+      ended: Boolean(lastTrain.ended),
+    };
   }
+  output.departures = trains.map((train) => ({
+    line: train.route || train.lineColor.slice(0, -1),
+    destination: train.destination,
+    abbreviation: train.abbreviation,
+    minutes: Number.parseInt(train.minutes) || 0,
+    departureTime: new Date(train.actualDepartureTime).toISOString(),
+    length: Number.parseInt(train.length) || null,
+    direction: train.direction,
+    transfer: train.transfer || null,
+    delayMinutes: train.delay || 0,
+    platform: train.platform || null,
+    bikes: train.bikes === undefined ? null : train.bikes,
+    cancelled: Boolean(train.cancelled),
+    catchStatus: train.catchStatus,
+    leaveInMinutes: train.leaveInMinutes,
+    scheduled: Boolean(train.scheduled),
+  }));
+  return output;
+}
 
-  // Show message if no trains in desired direction
-  if (!hasTrains) {
-    const noTrains = w.addText(
-      'No trains at this time'
-    );
-    noTrains.textColor = ColorScheme.secondaryText;
-    noTrains.font = Font.systemFont(12);
+// e.g. "Next Richmond train from 19th St. Oakland leaves in 4 minutes, then 12:10 AM."
+function formatSpokenSummary(station, trains, staleMinutes) {
+  if (trains.length === 0) {
+    return localize("spokenNoTrains", station.name);
   }
 
-  // Add last updated timestamp
-  w.addSpacer(4);
-  const footer = w.addStack();
-  footer.centerAlignContent();
-
-  const updateIcon = footer.addImage(SFSymbol.named("clock").image);
-  updateIcon.imageSize = new Size(10, 10);
-  updateIcon.tintColor = ColorScheme.secondaryText;
-
-  footer.addSpacer(2);
+  // One sentence each for the first two destinations
+  const destinations = [...new Set(trains.map((train) => formatDestination(train)))].slice(0, 2);
+  const sentences = destinations.map((destination, index) => {
+    const [first, second] = trains.filter((train) => formatDestination(train) === destination);
+    const minutes = Number.parseInt(first.minutes) || 0;
+    const leaves = first.scheduled
+      ? localize("spokenScheduled", first.departureTime)
+      : minutes === 0 ? localize("spokenLeavesNow") : localize("spokenLeavesIn", minutes);
+    const then = second ? localize("spokenThen", second.departureTime) : "";
+    return index === 0
+      ? localize("spokenNextTrain", destination, station.name, leaves, then)
+      : localize("spokenLaterTrain", destination, leaves, then);
+  });
 
-  const now = new Date();
-  const timestamp = footer.addText(
-    `Last Updated ${formatLastUpdated(now)}`
-  );
-  timestamp.textColor = ColorScheme.secondaryText;
-  timestamp.font = Font.systemFont(10);
+  if (staleMinutes !== null) {
+    sentences.push(localize("spokenStale", staleMinutes));
+  }
+  return sentences.join(SETTINGS.language === "zh" ? "" : " ");
+}
 
-  return w;
+// Message and retry interval for an error, from its Core.ERROR_TYPES type
+function getErrorState(error) {
+  const type = Core.getErrorType(error) || "unknown";
+  return { type, ...ERROR_STATES[type], ...localize("errors")[type] };
 }
 
-// Modify table view
-async function createTable(closest, location) {
-  const table = new UITable();
-  table.showSeparators = true;
+// Create error widget for the error's type, refreshing after its retry interval
+// (doubled for each further consecutive error, see Core.planRefresh)
+function createErrorWidget(error, errorCount = 1) {
+  const state = getErrorState(error);
+  const widget = new ListWidget();
+  widget.backgroundColor = ColorScheme.background;
+  const plan = setRefreshInterval(widget, { errorCount, errorRetryMinutes: state.retryMinutes });
 
-  // Station info
-  const header = new UITableRow();
-  header.addText("Nearest BART Station");
-  header.isHeader = true;
-  table.addRow(header);
+  if (isAccessoryFamily(getWidgetFamily())) {
+    const text = widget.addText(state.title);
+    text.font = getFont(12, true);
+    text.minimumScaleFactor = 0.5;
+  } else {
+    const stack = widget.addStack();
+    stack.centerAlignContent();
 
-  const stationRow = new UITableRow();
-  const distanceInfo = formatDistanceAndTime(closest.distance);
-  stationRow.addText(closest.station.name);
-  stationRow.addText(`${distanceInfo.distance} (${distanceInfo.walkingTime})`);
-  table.addRow(stationRow);
+    const errorSymbol = stack.addImage(SFSymbol.named(state.symbol).image);
+    errorSymbol.imageSize = new Size(20, 20);
+    errorSymbol.tintColor = ColorScheme.secondaryText;
 
-  const addressRow = new UITableRow();
-  addressRow.addText(closest.station.address);
-  table.addRow(addressRow);
+    stack.addSpacer(4);
 
-  // Calculate distance from SF for direction determination (but don't display)
-  const distanceFromSF = calculateDistanceFromSF(
-    location.latitude,
-    location.longitude
-  );
+    const text = stack.addText(state.title);
+    text.textColor = ColorScheme.primaryText;
+    text.font = getFont(12);
 
-  // Last updated timestamp
-  const now = new Date();
-  const updateRow = new UITableRow();
-  updateRow.backgroundColor = ColorScheme.rowBackground;
-  updateRow.addText(
-    `Last Updated: ${formatLastUpdated(now)}`
-  );
-  table.addRow(updateRow);
+    widget.addSpacer(4);
 
-  // Departures
-  const etd = await getStationDepartures(closest.station);
-  const allDepartures = formatDepartures(etd);
-  const departures = filterRoutesByDirection(
-    allDepartures,
-    location.latitude,
-    location.longitude
-  );
+    const hint = widget.addText(state.hint);
+    hint.textColor = ColorScheme.secondaryText;
+    hint.font = getFont(10);
 
-  // Add section for each line color
-  let hasTrains = false;
-  for (const [color, trains] of Object.entries(departures)) {
-    if (trains.length > 0) {
-      hasTrains = true;
-      const lineHeader = new UITableRow();
-      const isEastbound = color.endsWith("E");
-      const lineName = color.slice(0, -1); // Remove E/W suffix
-      lineHeader.addText(`${lineName} Line`);
-      lineHeader.backgroundColor = ColorScheme.rowBackground;
-      table.addRow(lineHeader);
-
-      for (const train of trains.slice(0, 3)) {
-        const trainRow = new UITableRow();
-        trainRow.addText(train.destination);
-        trainRow.addText(train === trains[0] ? 
-          (train.minutes === "0" || Number.isNaN(nextTrain.minutes) ? "Leaving" : `${train.minutes} min (${train.departureTime})`) 
-          : train.departureTime);
-        trainRow.addText(`${train.length} car`);
-        trainRow.addText(train.direction);
-        table.addRow(trainRow);
-      }
-    }
-  }
+    widget.addSpacer(4);
 
-  // Show message if no trains in desired direction
-  if (!hasTrains) {
-    const noTrainsRow = new UITableRow();
-    noTrainsRow.addText('No trains at this time');
-    noTrainsRow.textColor = Color.gray;
-    table.addRow(noTrainsRow);
+    const retry = widget.addText(localize("retryIn", plan.minutes));
+    retry.textColor = ColorScheme.secondaryText;
+    retry.font = getFont(8);
   }
 
-  return table;
+  return widget;
 }
 
-// Create error widget
-function createErrorWidget() {
-  const widget = new ListWidget();
-  widget.backgroundColor = ColorScheme.background;
-  
-  const stack = widget.addStack();
-  stack.centerAlignContent();
-  
-  const errorSymbol = stack.addImage(SFSymbol.named("location.slash").image);
-  errorSymbol.imageSize = new Size(20, 20);
-  errorSymbol.tintColor = ColorScheme.secondaryText;
-  
-  stack.addSpacer(4);
-  
-  const text = stack.addText("Waiting for location");
-  text.textColor = ColorScheme.primaryText;
-  text.font = Font.systemFont(12);
-  
-  widget.addSpacer(4);
-  
-  const hint = widget.addText("Widget will update when location is available");
-  hint.textColor = ColorScheme.secondaryText;
-  hint.font = Font.systemFont(10);
-  
-  // Set refresh interval to try again soon
-  const refreshDate = new Date();
-  refreshDate.setMinutes(refreshDate.getMinutes() + 1);
-  widget.refreshAfterDate = refreshDate;
-  
-  return widget;
+// Alert for an error in the app. Resolves to true when the user wants to try again.
+async function presentErrorAlert(error) {
+  const state = getErrorState(error);
+  const alert = new Alert();
+  alert.title = state.title;
+  alert.message = state.hint;
+  alert.addAction(localize("tryAgain"));
+  alert.addCancelAction(localize("ok"));
+  return await alert.presentAlert() === 0;
+}
+
+// Current location, falling back to the last known location
+async function getLocation() {
+  try {
+    const location = await Location.current();
+    storeLastLocation(location);
+    return location;
+  } catch (error) {
+    console.log('Error getting current location:', error);
+    const location = getLastLocation();
+    if (!location) {
+      throw new Core.BartError(Core.ERROR_TYPES.LOCATION_DENIED, 'No location available', { cause: error });
+    }
+    return location;
+  }
 }
 
 // Main execution
 async function run() {
   if (config.runsInWidget) {
     try {
-      // First try to get current location
-      let location;
-      try {
-        location = await Location.current();
-        storeLastLocation(location);
-      } catch (error) {
-        console.log('Error getting current location:', error);
-        location = getLastLocation();
-        if (!location) {
-          throw new Error('No location available');
-        }
-      }
-
-      // Then try to get station data
-      try {
-        const closest = await findClosestStation(location);
-        const widget = await createWidget(closest, location);
-        if (location === getLastLocation()) {
-          // Add cached location note
-          const footer = widget.addStack();
-          footer.centerAlignContent();
-          const cacheNote = footer.addText('Using last known location');
-          cacheNote.textColor = ColorScheme.secondaryText;
-          cacheNote.font = Font.systemFont(8);
-        }
-        Script.setWidget(widget);
-      } catch (error) {
-        console.log('Error creating widget:', error);
-        const errorWidget = new ListWidget();
-        errorWidget.backgroundColor = ColorScheme.background;
-        
-        const stack = errorWidget.addStack();
-        stack.centerAlignContent();
-        
-        const errorSymbol = stack.addImage(SFSymbol.named('exclamationmark.triangle').image);
-        errorSymbol.imageSize = new Size(20, 20);
-        errorSymbol.tintColor = ColorScheme.secondaryText;
-        
-        stack.addSpacer(4);
-        
-        const text = stack.addText('BART API Error');
-        text.textColor = ColorScheme.primaryText;
-        text.font = Font.systemFont(12);
-        
-        errorWidget.addSpacer(4);
-        
-        const hint = errorWidget.addText('Please check your API key and internet connection');
-        hint.textColor = ColorScheme.secondaryText;
-        hint.font = Font.systemFont(10);
-        
-        Script.setWidget(errorWidget);
+      const location = await getLocation();
+      activeProfile = await resolveCommuteProfile(location);
+      const [closest] = await findClosestStation(location);
+      const widget = await createWidget(closest, location);
+      if (location === getLastLocation() && !isAccessoryFamily(getWidgetFamily())) {
+        // Add cached location note
+        const footer = widget.addStack();
+        footer.centerAlignContent();
+        const cacheNote = footer.addText(localize("usingLastLocation"));
+        cacheNote.textColor = ColorScheme.secondaryText;
+        cacheNote.font = getFont(8);
       }
+      Script.setWidget(widget);
+      setWidgetErrorCount(0);
     } catch (error) {
       console.log('Widget error:', error);
-      const errorWidget = createErrorWidget();
-      Script.setWidget(errorWidget);
+      const errorCount = getWidgetErrorCount() + 1;
+      setWidgetErrorCount(errorCount);
+      Script.setWidget(createErrorWidget(error, errorCount));
+    }
+  } else if (config.runsWithSiri || !config.runsInApp) {
+    // Siri and Shortcuts get a summary instead of a table
+    try {
+      const location = await getLocation();
+      activeProfile = await resolveCommuteProfile(location);
+      const [closest] = await findClosestStation(location);
+      const output = await createShortcutOutput(closest, location);
+      const format = SETTINGS.output || (config.runsWithSiri ? "text" : "json");
+      Script.setShortcutOutput(format === "text" ? output.summary : output);
+    } catch (error) {
+      console.log('Shortcut error:', error);
+      Script.setShortcutOutput(getErrorState(error).hint);
     }
   } else {
     try {
-      // First try to get current location
-      let location;
-      try {
-        location = await Location.current();
-        storeLastLocation(location);
-      } catch (error) {
-        console.log('Error getting current location:', error);
-        location = getLastLocation();
-        if (!location) {
-          throw new Error('No location available');
-        }
-      }
-
-      // Then try to get station data
-      try {
-        const closest = await findClosestStation(location);
-        const table = await createTable(closest, location);
-        if (location === getLastLocation()) {
-          // Add cached location note
-          const cacheRow = new UITableRow();
-          cacheRow.backgroundColor = ColorScheme.rowBackground;
-          cacheRow.addText('Using last known location');
-          table.addRow(cacheRow);
-        }
-        await QuickLook.present(table);
-      } catch (error) {
-        console.log('Error creating table:', error);
-        const alert = new Alert();
-        alert.title = 'BART API Error';
-        alert.message = 'Please check your API key and internet connection';
-        alert.addAction('OK');
-        await alert.presentAlert();
+      const location = await getLocation();
+      activeProfile = await resolveCommuteProfile(location);
+      const nearest = await findClosestStation(location, NEAREST_STATION_COUNT);
+      // Widget rows link here with query parameters for a focused view
+      const table = await createLinkedTable(nearest, location, args.queryParameters || {});
+      if (location === getLastLocation()) {
+        // Add cached location note
+        const cacheRow = new UITableRow();
+        cacheRow.backgroundColor = ColorScheme.rowBackground;
+        cacheRow.addText(localize("usingLastLocation"));
+        table.addRow(cacheRow);
       }
+      await table.present();
     } catch (error) {
       console.log('Table view error:', error);
-      const alert = new Alert();
-      alert.title = 'Location Not Available';
-      alert.message = 'Please make sure location services are enabled for Scriptable.';
-      alert.addAction('OK');
-      await alert.presentAlert();
+      if (await presentErrorAlert(error)) {
+        await run();
+      }
     }
   }
 }
@@ -0,0 +1,104 @@
+/*** GTFS CORE CHECK ***
+ * Runs gtfs-core.js against the Caltrain fixture in test/fixtures/gtfs: a
+ * few stops and routes, and a TripUpdates feed in its JSON form.
+ *
+ * USAGE
+ *   node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const Gtfs = require("../gtfs-core");
+
+const FIXTURES = path.join(__dirname, "fixtures", "gtfs");
+const NOW = new Date(1800000000 * 1000);
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+// The fixture feed through createGtfsFeed, loading files instead of URLs
+function createFixtureFeed(skipped = []) {
+  const load = async (url) => {
+    const name = path.basename(url);
+    if (skipped.includes(name)) {
+      throw new Error(`${name} not found`);
+    }
+    return readFixture(name);
+  };
+  return Gtfs.createGtfsFeed({
+    agencyId: "caltrain",
+    staticUrl: "fixtures",
+    realtimeUrl: "fixtures/tripupdates.json",
+    loadText: load,
+    loadBytes: async (url) => [...Buffer.from(await load(url))],
+  });
+}
+
+async function loadDepartures(stationAbbr, options = {}) {
+  const feed = createFixtureFeed(options.skipped);
+  const gtfs = await feed.getStatic();
+  const station = gtfs.stations.find((candidate) => candidate.abbr === stationAbbr);
+  const departures = Gtfs.formatGtfsDepartures(
+    station,
+    await feed.getTripUpdates(),
+    { ...gtfs, lastStops: options.lastStops || gtfs.lastStops },
+    NOW,
+    (date) => date.toISOString()
+  );
+  return Object.values(departures).flat();
+}
+
+test("parses quoted CSV fields", () => {
+  const [route] = Gtfs.parseCsv(readFixture("routes.txt"));
+  assert.strictEqual(route.route_long_name, "Local, weekday");
+});
+
+test("folds platforms into their parent station", async () => {
+  const { stations } = await createFixtureFeed().getStatic();
+  const station = stations.find((candidate) => candidate.abbr === "caltrain:place_4TH");
+  assert.deepStrictEqual(station.stopIds, ["place_4TH", "70011", "70012"]);
+});
+
+test("keeps trips whose update only lists this stop, headed for their headsign", async () => {
+  const departures = await loadDepartures("caltrain:place_4TH");
+  assert.deepStrictEqual(
+    departures.map((train) => [train.route, train.destination, train.minutes, train.delay]),
+    [["Local", "San Jose Diridon", "10", 2]]
+  );
+});
+
+test("skips cancelled trips, skipped stops and trips ending here", async () => {
+  const departures = await loadDepartures("caltrain:place_4TH");
+  assert.ok(departures.every((train) => train.route !== "Express"));
+  assert.strictEqual(departures.length, 1);
+});
+
+test("lists trips passing through", async () => {
+  const departures = await loadDepartures("caltrain:place_MLBR");
+  assert.deepStrictEqual(
+    departures.map((train) => [train.route, train.destination, train.lineColor]),
+    [
+      ["Local", "San Francisco", "caltrain:Local:1"],
+      ["Express", "San Francisco", "caltrain:Express:1"],
+    ]
+  );
+});
+
+test("falls back to the last stop without trips.txt", async () => {
+  const departures = await loadDepartures("caltrain:place_MLBR", { skipped: ["trips.txt"] });
+  assert.deepStrictEqual(
+    departures.map((train) => train.destination),
+    ["San Francisco Caltrain", "San Francisco Caltrain"]
+  );
+});
+
+test("uses stop_times.txt to tell where a trip ends", async () => {
+  const lastStops = Gtfs.parseGtfsLastStops(
+    "trip_id,stop_sequence,stop_id\n101,1,70012\n101,20,70012\n"
+  );
+  assert.deepStrictEqual(lastStops, { 101: "70012" });
+  assert.deepStrictEqual(await loadDepartures("caltrain:place_4TH", { lastStops }), []);
+});